@@ -0,0 +1,22 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+var instance = new app({
+    el: yourDiv, text: 'biojs', uniprotacc: 'P05067',
+    // responses are kept for one hour, up to 10 MB, and across page reloads within the local storage quota of 2.5
+    // million characters
+    cache: {ttl: 60 * 60 * 1000, maxSize: 10 * 1024 * 1024, persistent: true}
+});
+
+var input = d3.select('body').append('div');
+input.append('button').text('Show P21802')
+    .on('click', function() {
+        instance.setAccession('P21802');
+    });
+input.append('button').text('Show P05067')
+    .on('click', function() {
+        instance.setAccession('P05067');
+    });
+input.append('button').text('Clear cache')
+    .on('click', function() {
+        instance.clearCache();
+    });
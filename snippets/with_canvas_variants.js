@@ -0,0 +1,10 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P04637',
+        // variants are drawn on a canvas, which keeps zooming smooth for proteins with tens of thousands of them
+        variantRenderer: 'canvas'
+    }
+);
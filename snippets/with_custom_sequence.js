@@ -0,0 +1,15 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+new app({
+    el: yourDiv,
+    // no accession, the features are drawn on this sequence
+    sequence: 'MLPGLALLLLAAWTARALEVPTDGNAGLLAEPQIAMFCGRLNMHMNVQNGKWDSDPSGTKTCIDTKEGILQYCQEVYPELQITNVVEANQPVTIQNWCKRG',
+    sequenceName: 'designed_protein',
+    data: {
+        features: [
+            {type: 'SIGNAL', category: 'MOLECULE_PROCESSING', begin: '1', end: '17'},
+            {type: 'DOMAIN', category: 'DOMAINS_AND_SITES', begin: '28', end: '90', description: 'Designed domain'},
+            {type: 'MOD_RES', category: 'PTM', begin: '51', end: '51', description: 'Phosphoserine'}
+        ]
+    }
+});
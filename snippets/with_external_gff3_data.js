@@ -0,0 +1,15 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067',
+        customDataSource: {
+            url: './data/externalFeatures_',
+            source: 'myLab',
+            format: 'gff3',
+            defaultCategory: 'DOMAINS_AND_SITES',
+            useExtension: true
+        }
+    }
+);
@@ -0,0 +1,17 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+d3.json('./data/features.json', function(error, features) {
+    var instance = new app(
+        {
+            el: yourDiv,
+            uniprotacc : 'P05067',
+            defaultSources: false,
+            data: [
+                {source: 'uniprot', data: features}
+            ]
+        }
+    );
+    instance.getDispatcher().on("ready", function() {
+        console.log('ready');
+    });
+});
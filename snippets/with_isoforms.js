@@ -0,0 +1,11 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067',
+        // isoforms are retrieved from the Proteins API, an array of accessions or {accession, name, sequence} can
+        // be given instead. Isoforms without annotation display the canonical features projected onto them.
+        isoforms: true
+    }
+);
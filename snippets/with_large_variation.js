@@ -0,0 +1,13 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+new app(
+    {
+        el: yourDiv,
+        // titin has tens of thousands of variants
+        uniprotacc : 'Q8WZ42',
+        // the variation source is parsed and processed in a worker while a progress bar is shown, as are other
+        // variant payloads with at least this many variants, the default is 5000. Use false to process them on the
+        // page.
+        workerThreshold: 2000
+    }
+);
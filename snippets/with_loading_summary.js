@@ -0,0 +1,16 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+var instance = new app({ el: yourDiv, text: 'biojs', uniprotacc: 'P05067' });
+instance.getDispatcher().on("sourceLoaded", function(summary) {
+    console.log(summary.source + ' loaded ' + summary.featureCount + ' features in ' + summary.time + 'ms');
+});
+instance.getDispatcher().on("sourceFailed", function(summary) {
+    console.log(summary.source + ' failed: ' + summary.error);
+});
+instance.loaded.then(function(summaries) {
+    console.log(summaries);
+});
+instance.getDispatcher().on("dataWarnings", function(warnings) {
+    console.log(warnings.source + ' has ' + warnings.issues.length + ' features with issues');
+    console.log(instance.getDiagnostics());
+});
@@ -0,0 +1,11 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067',
+        // two rows per track, the others are listed in a "show N more rows" row that expands the track when clicked;
+        // without it the rows shrink to fit the track
+        maxRows: 2
+    }
+);
@@ -0,0 +1,19 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+var instance = new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067',
+        customDataSource: {
+            url: './data/externalFeatures_',
+            source: 'myLab',
+            label: 'In-house annotations',
+            useExtension: true
+        },
+        // features of both sources with the same type and span are drawn once whatever their description,
+        // the default rules are ['type', 'span', 'description']. Use mergeFeatures: false to draw them all.
+        mergeRules: ['type', 'span']
+    }
+);
+// the 'Merge sources' box in the header does the same
+instance.setFeatureMerging(false);
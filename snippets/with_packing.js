@@ -0,0 +1,11 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067',
+        // longer features are drawn in the upper rows, 'firstFit' is the default and 'stable' keeps features in
+        // their rows when sources are added or removed
+        packing: 'longestFirst'
+    }
+);
@@ -0,0 +1,19 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067',
+        customDataSource: {
+            url: './data/externalFeatures_',
+            source: 'myLab',
+            useExtension: true,
+            // features were annotated on this older sequence version, they are aligned to the displayed sequence
+            // and remapped. Features in a gap of the alignment are dropped, or flagged with gapFeatures: 'flag'
+            referenceSequence: 'MLPGLALLLLAAWTARALEVPTDGNAGLLAEPQIAMFCGRLNMHMNVQNGKWDSDPSGTKTCIDTKEGILQYCQEVYPELQITNVVEANQPVTIQNW'
+                + 'CKRGRKQCKTHPHFVIPYRCLVGEFVSDALLVPDKCKFLHQERMDVCETHLHWHTVAKETCSEKSTNLHDYGMLLPCGIDKFRGVEFVCCPLAEE'
+                + 'SDNVDSADAEEDDSDVWWGGADTDYADGSEDKVVEVAEEEEVAEVEEEEADDDEDDEDGDEVEEEAEEPYEEATERTTSIATTTTTTTESVEEVVR',
+            gapFeatures: 'flag'
+        }
+    }
+);
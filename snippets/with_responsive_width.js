@@ -0,0 +1,10 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+// the tracks follow the width of the host element, try resizing the window
+yourDiv.style.width = '100%';
+new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067'
+    }
+);
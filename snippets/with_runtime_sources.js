@@ -0,0 +1,20 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+var instance = new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067'
+    }
+);
+// sources can be added and removed once the viewer is displayed, zoom, selection and filters are kept
+instance.addSource({
+    id: 'experiment1',
+    url: './data/externalFeatures_',
+    source: 'myLab',
+    useExtension: true
+}).then(function(summary) {
+    console.log(summary.featureCount + ' features added');
+    setTimeout(function() {
+        instance.removeSource('experiment1');
+    }, 5000);
+});
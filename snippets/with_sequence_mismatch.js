@@ -0,0 +1,18 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+var instance = new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067',
+        customDataSource: {
+            url: './data/externalFeatures_',
+            source: 'myLab',
+            useExtension: true,
+            // features annotated on another sequence are remapped, use 'reject' to leave them out or 'warn'
+            sequenceMismatch: 'remap'
+        }
+    }
+);
+instance.getDispatcher().on("sequenceMismatch", function(mismatch) {
+    console.log(mismatch.source + ': ' + mismatch.reason);
+});
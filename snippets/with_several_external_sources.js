@@ -0,0 +1,25 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067',
+        customDataSources: [
+            {
+                url: './data/externalFeatures_',
+                source: 'myLab',
+                label: 'In-house annotations',
+                color: '#1b9e77',
+                useExtension: true
+            },
+            {
+                url: './data/externalVariants_',
+                source: 'patients',
+                label: 'Patient variants',
+                color: '#d95f02',
+                format: 'vcf',
+                useExtension: true
+            }
+        ]
+    }
+);
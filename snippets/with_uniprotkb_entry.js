@@ -0,0 +1,15 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067',
+        defaultSources: false,
+        customDataSource: {
+            // entry JSON as served by https://rest.uniprot.org/uniprotkb/{isoform}.json, here a local copy
+            url: './data/uniprotkb_{isoform}.json',
+            source: 'UniProtKB',
+            format: 'uniprotkb'
+        }
+    }
+);
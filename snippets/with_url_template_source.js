@@ -0,0 +1,16 @@
+// if you don't specify a html file, the sniper will generate a div
+var app = require("ProtVista");
+new app(
+    {
+        el: yourDiv,
+        uniprotacc : 'P05067',
+        customDataSource: {
+            // {accession}, {isoform} and {format} are replaced when the data is requested
+            url: 'https://my.annotation.service/proteins/{accession}/features',
+            params: {format: '{format}', isoform: '{isoform}'},
+            headers: {Authorization: 'Bearer my-token'},
+            credentials: 'include',
+            source: 'myLab'
+        }
+    }
+);
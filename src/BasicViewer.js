@@ -6,15 +6,100 @@ var d3 = require("d3");
 var FeatureFactory = require("./FeatureFactory");
 var NonOverlappingLayout = require("./NonOverlappingLayout");
 var ViewerHelper = require("./ViewerHelper");
-var Constants = require("./Constants");
+
+// Features get their element id before the layout, which caches their positions by id
+var createLayout = function(basicViewer, catTitle, features, fv) {
+    features.forEach(function(d) {
+        d.internalId = d.internalId === undefined ? ViewerHelper.createInternalId(fv, catTitle) : d.internalId;
+    });
+    var layout = new NonOverlappingLayout(features, basicViewer.height, {strategy: fv.packing,
+        previous: basicViewer.layout, maxRows: fv.maxRows, expanded: basicViewer.expanded});
+    layout.calculate();
+    return layout;
+};
+
+// Rows beyond fv.maxRows are summed up in a last row, clicking it shows them all or hides them again. The row is
+// drawn next to the feature group and updated in place.
+var drawOverflow = function(basicViewer, svg, fv) {
+    var layout = basicViewer.layout;
+    var overflow = layout.getOverflow();
+    var height = layout.getHeight();
+    svg.attr('height', height);
+    svg.selectAll('.up_pftv_highlight').attr('height', height);
+    var row = svg.selectAll('.up_pftv_overflow').data(overflow ? [overflow] : []);
+    var newRow = row.enter().append('g')
+        .attr('class', 'up_pftv_overflow')
+        .on('mouseover', function() {
+            fv.overFeature = true;
+        })
+        .on('mouseout', function() {
+            fv.overFeature = false;
+        })
+        .on('click', function() {
+            basicViewer.setExpanded(!basicViewer.expanded);
+        });
+    newRow.append('rect')
+        .attr('class', 'up_pftv_overflow-row');
+    newRow.append('rect')
+        .attr('class', 'up_pftv_overflow-badge')
+        .attr('x', 4)
+        .attr('y', 2)
+        .attr('rx', 5)
+        .attr('ry', 5);
+    newRow.append('text')
+        .attr('class', 'up_pftv_overflow-count')
+        .attr('x', 9);
+    newRow.append('text')
+        .attr('class', 'up_pftv_overflow-label');
+    row.exit().remove();
+    if (!overflow) {
+        return;
+    }
+    row.attr('transform', 'translate(0,' + overflow.y + ')');
+    row.select('.up_pftv_overflow-row')
+        .attr('width', svg.attr('width'))
+        .attr('height', overflow.height);
+    row.select('.up_pftv_overflow-badge')
+        .attr('width', 10 + (7 * String(overflow.features).length))
+        .attr('height', overflow.height - 4);
+    row.select('.up_pftv_overflow-count')
+        .attr('y', overflow.height - 4)
+        .text(overflow.features);
+    row.select('.up_pftv_overflow-label')
+        .attr('x', 18 + (7 * String(overflow.features).length))
+        .attr('y', overflow.height - 4)
+        .text(basicViewer.expanded ? 'Show fewer rows'
+            : 'Show ' + overflow.rows + ' more ' + (overflow.rows === 1 ? 'row' : 'rows'));
+};
+
+// Features of the visible rows. Zoom and brush gestures draw only the ones in the drawn range, together with the
+// selected one wherever it is as the highlight follows it.
+var getDrawnFeatures = function(basicViewer, data, fv) {
+    var layout = basicViewer.layout;
+    if (!fv.partialUpdate) {
+        return data.filter(function(d) {
+            return layout.isVisible(d);
+        });
+    }
+    var range = ViewerHelper.getDrawnRange(fv);
+    var features = layout.getFeaturesIn(range.begin, range.end);
+    var selected = fv.selectedFeature;
+    if (selected && layout.isVisible(selected) && ((+selected.begin > range.end)
+        || ((selected.end ? +selected.end : +selected.begin) < range.begin))) {
+        features.push(selected);
+    }
+    return features;
+};
+
+var getInternalId = function(d) {
+    return d.internalId;
+};
 
 var BasicViewer = function(catTitle, features, container, fv) {
     var basicViewer = this;
     basicViewer.height = 40;
-    var width = fv.width;
 
-    basicViewer.layout = new NonOverlappingLayout(features, basicViewer.height);
-    basicViewer.layout.calculate();
+    basicViewer.layout = createLayout(basicViewer, catTitle, features, fv);
 
     var featurePlot = function() {
         var series,
@@ -23,28 +108,30 @@ var BasicViewer = function(catTitle, features, container, fv) {
         var featurePlot = function(selection) {
             selection.each(function(data) {
                 series = d3.select(this);
+                // features of collapsed rows, and during gestures those far out of view, are not drawn
                 shapes = series.selectAll('.up_pftv_feature')
-                    .data(data);
+                    .data(getDrawnFeatures(basicViewer, data, fv), getInternalId);
 
                 shapes.enter().append('path')
-                    .attr('name', function(d, index) {
-                        d.internalId = d.internalId === undefined ? catTitle + '_' + index : d.internalId;
+                    .attr('name', function(d) {
                         return d.internalId;
                     })
                     .attr('class',function(d) {
-                        return 'up_pftv_feature up_pftv_' + d.type.toLowerCase();
+                        return 'up_pftv_feature up_pftv_' + d.type.toLowerCase()
+                            + (d.mapping && d.mapping.changed ? ' up_pftv_feature-changed' : '')
+                            + (d.mapping && d.mapping.gap ? ' up_pftv_feature-gap' : '');
                     })
                     .filter(function(d) {
-                        return d.color || Constants.getTrackInfo(d.type).color;
+                        return d.color || fv.config.getTrackInfo(d.type).color;
                     })
                     .style('fill', function(d) {
                         return d.color ? d.color
-                            : Constants.getTrackInfo(d.type).color ? Constants.getTrackInfo(d.type).color
+                            : fv.config.getTrackInfo(d.type).color ? fv.config.getTrackInfo(d.type).color
                             : 'black';
                     })
                     .style('stroke', function(d) {
                         return d.color ? d.color
-                            : Constants.getTrackInfo(d.type).color ? Constants.getTrackInfo(d.type).color
+                            : fv.config.getTrackInfo(d.type).color ? fv.config.getTrackInfo(d.type).color
                             : 'black';
                     })
                 ;
@@ -69,7 +156,7 @@ var BasicViewer = function(catTitle, features, container, fv) {
     };
 
     var series = featurePlot();
-    var svg = ViewerHelper.createSVG(container, width, basicViewer.height, fv);
+    var svg = ViewerHelper.createSVG(container, fv.width, basicViewer.height, fv);
 
     var drawArea = svg.append('g')
         .classed('up_pftv_category-viewer-group', true);
@@ -77,20 +164,42 @@ var BasicViewer = function(catTitle, features, container, fv) {
     var dataSeries = drawArea
         .datum(features)
         .call(series);
+    drawOverflow(basicViewer, svg, fv);
 
     this.update = function() {
         dataSeries.call(series);
+        drawOverflow(basicViewer, svg, fv);
         ViewerHelper.updateHighlight(fv);
     };
 
     this.updateData = function(data) {
         var basicViewer = this;
-        basicViewer.layout = new NonOverlappingLayout(data, basicViewer.height);
-        basicViewer.layout.calculate();
+        basicViewer.layout = createLayout(basicViewer, catTitle, data, fv);
         dataSeries.datum(data);
         this.update();
     };
 
+    this.resize = function() {
+        svg.attr('width', fv.width);
+        this.update();
+    };
+
+    // Shows the rows hidden behind the overflow row, growing the track, or hides them again
+    this.setExpanded = function(expanded) {
+        basicViewer.expanded = expanded;
+        basicViewer.layout.setExpanded(expanded);
+        this.update();
+    };
+
+    // Expands the track when the feature is in a hidden row, returns whether it was
+    this.reveal = function(feature) {
+        if (basicViewer.layout.isVisible(feature) || (basicViewer.layout.getRowIndex(feature) === undefined)) {
+            return false;
+        }
+        this.setExpanded(true);
+        return true;
+    };
+
     return this;
 };
 
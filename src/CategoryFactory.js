@@ -11,17 +11,38 @@ var NonOverlappingLayout = require("./NonOverlappingLayout");
 var BasicViewer = require("./BasicViewer");
 var ViewerHelper = require("./ViewerHelper");
 var Constants = require("./Constants");
+var DataLoader = require("./DataLoader");
 var Evidence = require('./Evidence');
 var VariantCategoryViewer = require('./VariantCategoryViewer');
 
+// Features reported by several sources are drawn once in basic categories, unless the viewer shows them unmerged.
+// Merged features share the element id of their first feature so that a selection survives merging.
+var mergeFeatures = function(category, features) {
+    var fv = category.fv;
+    if ((category.viewerType !== Constants.getVisualizationTypes().basic) || !fv.mergeFeatures) {
+        return features;
+    }
+    var merged = DataLoader.mergeFeatures(features, fv.mergeRules);
+    _.each(merged, function(feature) {
+        if (feature.mergedFeatures && (feature.internalId === undefined)) {
+            feature.internalId = ViewerHelper.createInternalId(fv, category.name);
+            feature.mergedFeatures[0].internalId = feature.internalId;
+        }
+    });
+    return merged;
+};
+
 var Category = function(name, data, catInfo, fv, container) {
     var category = this;
     category.name = name;
     category.tracks = [];
-    category.data = data;
     category.viewerType = catInfo.visualizationType;
     category.fv = fv;
+    // features as provided by the sources, data holds the drawn ones
+    category.features = data;
+    category.data = mergeFeatures(category, data);
     category.categoryViewer = undefined;
+    category.warnings = [];
 
     category.categoryContainer = container.append('div')
         .attr('class', 'up_pftv_category');
@@ -73,7 +94,13 @@ var repaintVariantsInPosition = function (data, wildAAPosition, wildIndex) {
                 (variant.alternativeSequence === dataVariant.alternativeSequence);
         });
         if (sameCatVariant) {
+            // a deep extend would overwrite the sources of the variant position by position
+            var sourceIds = sameCatVariant.sourceIds || dataVariant.sourceIds
+                ? _.union(sameCatVariant.sourceIds ? sameCatVariant.sourceIds : [],
+                    dataVariant.sourceIds ? dataVariant.sourceIds : [])
+                : undefined;
             findSourceType(sameCatVariant, dataVariant);
+            sameCatVariant.sourceIds = sourceIds;
         } else {
             wildAAPosition.variants.push(dataVariant);
         }
@@ -83,7 +110,8 @@ var repaintVariantsInPosition = function (data, wildAAPosition, wildIndex) {
 Category.prototype.repaint = function(data) {
     var category = this;
     if (category.viewerType === Constants.getVisualizationTypes().basic) {
-        category.data = _.union(category.data, data);
+        category.features = _.union(category.features, data);
+        category.data = mergeFeatures(category, category.features);
     } else {
         _.each(category.data, function (wildAAPosition, wildIndex) {
             if ((data[wildIndex].variants.length !== 0) && (wildAAPosition.variants.length !== 0)) {
@@ -94,12 +122,42 @@ Category.prototype.repaint = function(data) {
         });
     }
 
-    var catContainer = d3.select('.up_pftv_category_' + category.name);
-    var ftGroup = catContainer.select('.up_pftv_category-viewer-group');
+    category.redraw();
+};
+
+// Withdraws the features of a source, the ones other sources provide too are kept. Returns whether the category
+// had any feature from that source.
+Category.prototype.removeSource = function(sourceId, sourceName) {
+    var category = this;
+    if (!DataLoader.hasSource(category.features, sourceId)) {
+        return false;
+    }
+    category.features = DataLoader.withdrawFeatures(category.features, sourceId, sourceName);
+    category.data = mergeFeatures(category, category.features);
+    category.redraw();
+    return true;
+};
+
+Category.prototype.isEmpty = function() {
+    return DataLoader.countFeatures(this.features) === 0;
+};
+
+// Draws the features again once the viewer switches between merged and unmerged features
+Category.prototype.remerge = function() {
+    var category = this;
+    if (category.viewerType === Constants.getVisualizationTypes().basic) {
+        category.data = mergeFeatures(category, category.features);
+        category.redraw();
+    }
+};
+
+Category.prototype.redraw = function() {
+    var category = this;
+    var ftGroup = category.categoryContainer.select('.up_pftv_category-viewer-group');
     ftGroup.selectAll('*').remove();
     category.categoryViewer.updateData(category.data);
 
-    var tracksContainer = catContainer.select('.up_pftv_category-tracks');
+    var tracksContainer = category.tracksContainer;
     tracksContainer.selectAll('*').remove();
     tracksContainer.html('');
     category.tracks = [];
@@ -137,6 +195,40 @@ Category.prototype.toggle = function() {
     }
 };
 
+// Expands the category viewer and the tracks that hide the feature in a collapsed row
+Category.prototype.reveal = function(feature) {
+    var category = this;
+    if (category.categoryViewer.reveal) {
+        category.categoryViewer.reveal(feature);
+    }
+    _.each(category.tracks, function(track) {
+        if (track.trackViewer.reveal) {
+            track.trackViewer.reveal(feature);
+        }
+    });
+};
+
+// Fits the category viewer and the tracks to the width of the viewer
+Category.prototype.resize = function() {
+    var category = this;
+    category.categoryViewer.resize();
+    _.each(category.tracks, function(track) {
+        track.trackViewer.resize();
+    });
+};
+
+var exportViewerSVG = function(viewer, container) {
+    return viewer.exportSVG ? viewer.exportSVG() : container.select('svg').node().cloneNode(true);
+};
+
+Category.prototype.exportSVG = function() {
+    var category = this;
+    return [exportViewerSVG(category.categoryViewer, category.viewerContainer)].concat(
+        _.map(category.tracks, function(track) {
+            return exportViewerSVG(track.trackViewer, track.trackContainer);
+        }));
+};
+
 Category.prototype.propagateSelection = function() {
     if (this.fv.selectedFeature) {
         this.fv.globalContainer.selectAll('svg path[name=' + this.fv.selectedFeature.internalId + ']')
@@ -152,6 +244,21 @@ Category.prototype.setDisabled = function() {
     category.header.on('click', function(){});
 };
 
+// Warnings are shown as a badge next to the category name, the messages are available on mouse over
+Category.prototype.addWarning = function(message) {
+    var category = this;
+    if (!_.contains(category.warnings, message)) {
+        category.warnings.push(message);
+    }
+    var badge = category.header.select('.up_pftv_warning-badge');
+    if (badge.empty()) {
+        badge = category.header.append('span')
+            .attr('class', 'up_pftv_warning-badge')
+            .text('!');
+    }
+    badge.attr('title', category.warnings.join('\n'));
+};
+
 Category.prototype.update = function() {
     var category = this;
     category.categoryViewer.update();
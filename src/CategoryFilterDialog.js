@@ -6,41 +6,46 @@
 var d3 = require("d3");
 var _ = require("underscore");
 var ViewerHelper = require("./ViewerHelper");
-var Constants = require("./Constants");
+
+// At least one category has to remain displayed
+var disableLastDisplayed = function(wrapper) {
+    var displayed = wrapper.selectAll("input:checked");
+    if (displayed[0].length === 1) {
+        displayed.attr('disabled', true);
+    }
+};
 
 var populateDialog = function (fv, wrapper) {
-    var index = 0;
-    _.each(Constants.getCategoryNamesInOrder(), function(category) {
+    _.each(fv.config.getCategoryNamesInOrder(), function(category) {
         var catKey = category.name;
         var dataCategory = _.find(fv.data, function(catArray) {
             return catArray[0] === catKey;
         });
-        if (dataCategory && (dataCategory[1].length !== 0)) {
+        var displayedCategory = _.find(fv.categories, function(cat) {
+            return cat.name === catKey;
+        });
+        if (dataCategory && (dataCategory[1].length !== 0) && displayedCategory) {
             var div = wrapper.append('div');
             div.append('input')
                 .attr('type', 'checkbox')
-                .property('checked', true)
-                .attr('index', index)
+                .property('checked', !_.contains(fv.hiddenCategories, catKey))
                 .on('click', function() {
                     var elem = d3.select(this);
-                    var myIndex = +elem.attr('index');
-                    var allCategory = fv.globalContainer.selectAll('.up_pftv_category');
                     if (elem.property('checked')) {
-                        d3.select(allCategory[0][myIndex]).style('display', 'block');
+                        fv.hiddenCategories = _.without(fv.hiddenCategories, catKey);
+                        displayedCategory.categoryContainer.style('display', 'block');
                         wrapper.selectAll('input:disabled').attr('disabled', null);
                     } else {
-                        d3.select(allCategory[0][myIndex]).style('display', 'none');
-                        var displayed = wrapper.selectAll("input:checked");
-                        if (displayed[0].length === 1) {
-                            displayed.attr('disabled', true);
-                        }
+                        fv.hiddenCategories.push(catKey);
+                        displayedCategory.categoryContainer.style('display', 'none');
+                        disableLastDisplayed(wrapper);
                     }
                 });
             div.append('label')
                 .text(category.label);
-            index++;
         }
     });
+    disableLastDisplayed(wrapper);
 };
 
 var createDialog = function (fv, container) {
@@ -77,6 +82,13 @@ var CategoryFilterDialog = function() {
                 .style('opacity',1)
                 .style('display','block');
         },
+        // The dialog lists the displayed categories, it is created again once they change
+        discardDialog: function(fv) {
+            if (fv.categoryFilterDialog) {
+                fv.categoryFilterDialog.remove();
+                fv.categoryFilterDialog = undefined;
+            }
+        },
         closeDialog: function(fv) {
             if (fv.categoryFilterDialog) {
                 fv.categoryFilterDialog.transition(20)
@@ -4,11 +4,8 @@
 
 var _ = require('underscore');
 var Config = require('./config.json');
+var ViewerConfig = require('./ViewerConfig');
 
-var visualizationTypes = {
-    basic: 'basic',
-    variant: 'variant'
-};
 var uniprotSource = 'uniprot';
 var uniprotSources = [
     {
@@ -32,118 +29,120 @@ var uniprotSources = [
         category: 'ANTIGEN'
     }
 ];
-var allSources = uniprotSources.slice(0);
-var externalSource;
-var allCategories = Config.categories;
-var allTrackNames = Config.trackNames;
+// defaults every new viewer starts from
+var defaults = new ViewerConfig({sources: uniprotSources, categories: Config.categories,
+    trackNames: Config.trackNames});
 var downloadFormats = [{text: 'JSON', type: 'json', all: true}, {text: 'XML', type: 'xml', all: false},
     {text: 'GFF', type: 'gff', all: false}];
-var consequenceTypes = [];
+var typeCategories = {
+    MOLECULE_PROCESSING: ['CHAIN', 'TRANSIT', 'INIT_MET', 'PROPEP', 'PEPTIDE', 'SIGNAL'],
+    DOMAINS_AND_SITES: ['REGION', 'COILED', 'MOTIF', 'REPEAT', 'CA_BIND', 'DNA_BIND', 'DOMAIN', 'ZN_FING', 'NP_BIND',
+        'METAL', 'SITE', 'BINDING', 'ACT_SITE'],
+    PTM: ['MOD_RES', 'LIPID', 'CARBOHYD', 'DISULFID', 'CROSSLNK'],
+    SEQUENCE_INFORMATION: ['COMPBIAS', 'CONFLICT', 'NON_CONS', 'NON_TER', 'UNSURE', 'NON_STD'],
+    STRUCTURAL: ['HELIX', 'STRAND', 'TURN'],
+    TOPOLOGY: ['TOPO_DOM', 'TRANSMEM', 'INTRAMEM'],
+    MUTAGENESIS: ['MUTAGEN'],
+    VARIANTS: ['VAR_SEQ', 'VARIANT']
+};
 
 var Constants = function() {
   return {
     getBlastURL: function() {
         return 'http://www.uniprot.org/blast/?about=';
     },
+    getIsoformsURL: function() {
+        return 'https://www.ebi.ac.uk/proteins/api/proteins/{accession}/isoforms';
+    },
+    getSequenceBlastURL: function() {
+        return 'https://blast.ncbi.nlm.nih.gov/Blast.cgi?PAGE=Proteins&PROGRAM=blastp&CMD=Web&QUERY=';
+    },
     getNoBlastTypes: function() {
       return ['helix', 'strand', 'turn', 'disulfid', 'crosslnk', 'variant'];
     },
     getVisualizationTypes: function() {
-        return visualizationTypes;
+        return ViewerConfig.visualizationTypes;
     },
     getDownloadFormats: function() {
         return downloadFormats;
     },
-    getDataSources: function() {
-      return allSources;
-    },
     getUniProtDataSources: function() {
       return uniprotSources;
     },
-    getExternalDataSource: function() {
-      return externalSource;
-    },
     getUniProtSource: function() {
       return uniprotSource;
     },
+    convertNameToLabel: function(name) {
+        return ViewerConfig.convertNameToLabel(name);
+    },
+    getCategoryForType: function(type) {
+        type = type.toUpperCase();
+        return _.find(_.keys(typeCategories), function(category) {
+            return _.contains(typeCategories[category], type);
+        });
+    },
+    // Configuration for a new viewer, it starts from the defaults but any later change is kept within the viewer
+    createViewerConfig: function() {
+        return new ViewerConfig({
+            sources: this.getDataSources(),
+            externalSources: this.getExternalDataSources(),
+            categories: this.getCategoryNamesInOrder(),
+            trackNames: this.getTrackNames()
+        });
+    },
+    getDataSources: function() {
+      return defaults.getDataSources();
+    },
+    getExternalDataSource: function() {
+      return defaults.getExternalDataSource();
+    },
+    getExternalDataSources: function() {
+      return defaults.getExternalDataSources();
+    },
+    getExternalSourceInfo: function(sourceName) {
+        return defaults.getExternalSourceInfo(sourceName);
+    },
     addSource: function(source) {
-        allSources.push(source);
-        externalSource = source;
+        defaults.addSource(source);
     },
     addConsequenceType: function(consequence) {
-        consequenceTypes.push(consequence);
+        defaults.addConsequenceType(consequence);
     },
     getConsequenceTypes: function() {
-        return _.uniq(consequenceTypes);
+        return defaults.getConsequenceTypes();
     },
     clearDataSources: function() {
-        allSources = [];
+        defaults.clearDataSources();
     },
     getCategoryNamesInOrder: function() {
-        return allCategories;
+        return defaults.getCategoryNamesInOrder();
     },
     setCategoryNamesInOrder: function(categories) {
-        allCategories = categories;
+        defaults.setCategoryNamesInOrder(categories);
     },
     setOrderForCategoryNames: function(categoryNames) {
-        var orderedCategories = [];
-        _.each(categoryNames, function(name) {
-            var position = 0;
-            var category = _.find(allCategories, function(cat, index) {
-                position = index;
-                return cat.name.toUpperCase() === name.toUpperCase();
-            });
-            if (category) {
-                orderedCategories.push(category);
-                allCategories.splice(position, 1);
-            }
-        });
-        allCategories = orderedCategories.concat(allCategories);
-    },
-    convertNameToLabel: function(name) {
-        var label = name.replace(/_/g, ' ');
-        label = label.charAt(0).toUpperCase() + label.slice(1).toLowerCase();
-        return label;
+        defaults.setOrderForCategoryNames(categoryNames);
     },
     getCategoryInfo: function(categoryName) {
-        var exist = _.find(allCategories, function(cat) {
-            return cat.name === categoryName;
-        });
-        return exist ? exist
-            : {name: categoryName, label: Constants.convertNameToLabel(categoryName),
-            visualizationType: Constants.getVisualizationTypes().basic};
+        return defaults.getCategoryInfo(categoryName);
     },
     addCategories: function(categories) {
-        var index = 0;
-        _.each(categories, function (newCat) {
-            var exist = _.find(allCategories, function(cat) {
-                return cat.name === newCat.name;
-            });
-            if (exist) {
-                exist.label = newCat.label;
-                exist.visualizationType = newCat.visualizationType;
-            } else {
-                allCategories.splice(index, 0, newCat);
-                index++;
-            }
-        });
+        defaults.addCategories(categories);
     },
     getTrackNames: function() {
-      return allTrackNames;
+      return defaults.getTrackNames();
     },
     setTrackNames: function(trackNames) {
-        allTrackNames = trackNames;
+        defaults.setTrackNames(trackNames);
     },
     addTrackTypes: function(tracksToAdd) {
-        _.each(tracksToAdd, function(elem, key) {
-            key = key.toLowerCase();
-            allTrackNames[key] = elem;
-        });
+        defaults.addTrackTypes(tracksToAdd);
+    },
+    getTrackType: function(name) {
+        return defaults.getTrackType(name);
     },
     getTrackInfo: function(trackName) {
-        var name = trackName.toLowerCase();
-        return this.getTrackNames()[name] ? this.getTrackNames()[name]
-            : {label: Constants.convertNameToLabel(name), tooltip:''};
+        return defaults.getTrackInfo(trackName);
     }
   };
 }();
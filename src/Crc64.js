@@ -0,0 +1,44 @@
+/*jslint node: true */
+/*jshint laxbreak: true */
+"use strict";
+
+var _ = require('underscore');
+
+// The checksum works on 64 bit words kept as two unsigned 32 bit halves. This is the only module where bitwise
+// operators are allowed (see .jshintrc).
+
+// High half of the CRC64 table used by UniProt for sequenceChecksum, the low half is always 0
+var crcTableHigh = _.map(_.range(256), function(i) {
+    var partLow = i, partHigh = 0;
+    _.each(_.range(8), function() {
+        var carry = partLow & 1;
+        partLow >>>= 1;
+        if (partHigh & 1) {
+            partLow |= 0x80000000;
+        }
+        partHigh >>>= 1;
+        if (carry) {
+            partHigh = (partHigh ^ 0xD8000000) >>> 0;
+        }
+    });
+    return partHigh;
+});
+
+var toHex = function(value) {
+    var hex = (value >>> 0).toString(16).toUpperCase();
+    return '00000000'.substring(hex.length) + hex;
+};
+
+// Upper case hexadecimal CRC64 of a string, as in UniProt entries
+var crc64 = function(text) {
+    var crcLow = 0, crcHigh = 0;
+    _.each(text, function(character) {
+        var shifted = (crcHigh & 0xFF) << 24;
+        var index = (crcLow ^ character.charCodeAt(0)) & 0xFF;
+        crcLow = ((crcLow >>> 8) | shifted) >>> 0;
+        crcHigh = ((crcHigh >>> 8) ^ crcTableHigh[index]) >>> 0;
+    });
+    return toHex(crcHigh) + toHex(crcLow);
+};
+
+module.exports = crc64;
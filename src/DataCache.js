@@ -0,0 +1,209 @@
+/*jslint node: true */
+/*jshint laxbreak: true */
+"use strict";
+
+var _ = require('underscore');
+
+var storagePrefix = 'protvista:';
+// stored entries, oldest first, with their size
+var storageIndex = storagePrefix + 'index';
+// browsers allow about 5 MB of local storage per origin, kept as UTF-16
+var storageQuota = 5 * 1024 * 1024 / 2;
+
+var getLocalStorage = function() {
+    try {
+        return (typeof window !== 'undefined') && window.localStorage ? window.localStorage : undefined;
+    } catch (e) {
+        // access to the storage is denied in some privacy modes
+        return undefined;
+    }
+};
+
+// Responses kept by URL and data type, the same URL being read as text or as JSON. Entries live in memory and, with
+// persistent, in the local storage so that they survive a page reload. ttl is in milliseconds and maxSize in characters
+// of the serialized responses. The local storage holds at most 2.5 million characters of them, its quota, larger
+// responses are kept in memory only and the oldest stored ones make room for new ones.
+var DataCache = function(options) {
+    var cache = this;
+    options = options ? options : {};
+    cache.ttl = options.ttl !== undefined ? options.ttl : 24 * 60 * 60 * 1000;
+    cache.maxSize = options.maxSize !== undefined ? options.maxSize : 20 * 1024 * 1024;
+    cache.storage = !options.persistent ? undefined
+        : options.storage ? options.storage : getLocalStorage();
+    cache.storageMaxSize = Math.min(cache.maxSize, storageQuota);
+    cache.entries = {};
+    cache.keys = [];
+    cache.size = 0;
+};
+
+var getKey = function(url, dataType) {
+    return (dataType ? dataType : 'json') + ' ' + url;
+};
+
+DataCache.prototype.now = function() {
+    return Date.now();
+};
+
+DataCache.prototype.isExpired = function(entry) {
+    return (this.now() - entry.time) > this.ttl;
+};
+
+DataCache.prototype.remember = function(key, entry) {
+    var cache = this;
+    if (entry.text.length > cache.maxSize) {
+        return false;
+    }
+    cache.forget(key);
+    cache.entries[key] = entry;
+    cache.keys.push(key);
+    cache.size += entry.text.length;
+    // least recently used entries go first
+    while (cache.size > cache.maxSize) {
+        cache.forget(cache.keys[0]);
+    }
+    return true;
+};
+
+DataCache.prototype.forget = function(key) {
+    var cache = this;
+    var entry = cache.entries[key];
+    if (entry) {
+        cache.size -= entry.text.length;
+        delete cache.entries[key];
+        cache.keys = _.without(cache.keys, key);
+    }
+};
+
+DataCache.prototype.readStorage = function(key) {
+    var cache = this;
+    if (!cache.storage) {
+        return undefined;
+    }
+    try {
+        var stored = cache.storage.getItem(storagePrefix + key);
+        return stored ? JSON.parse(stored) : undefined;
+    } catch (e) {
+        return undefined;
+    }
+};
+
+DataCache.prototype.readIndex = function() {
+    try {
+        var index = JSON.parse(this.storage.getItem(storageIndex));
+        return index instanceof Array ? index : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+DataCache.prototype.writeIndex = function(index) {
+    try {
+        this.storage.setItem(storageIndex, JSON.stringify(index));
+    } catch (e) {
+        // the index is rebuilt from the entries written later
+    }
+};
+
+DataCache.prototype.writeStorage = function(key, entry) {
+    var cache = this;
+    if (!cache.storage) {
+        return;
+    }
+    var text = JSON.stringify(entry);
+    var index = _.reject(cache.readIndex(), function(stored) {
+        return stored.key === key;
+    });
+    var size = text.length;
+    _.each(index, function(stored) {
+        size += stored.size;
+    });
+    try {
+        cache.storage.removeItem(storagePrefix + key);
+        if (text.length > cache.storageMaxSize) {
+            cache.writeIndex(index);
+            return;
+        }
+        while (size > cache.storageMaxSize) {
+            var oldest = index.shift();
+            cache.storage.removeItem(storagePrefix + oldest.key);
+            size -= oldest.size;
+        }
+        cache.storage.setItem(storagePrefix + key, text);
+        index.push({key: key, size: text.length});
+    } catch (e) {
+        // the storage is full, the entry is kept in memory only
+    }
+    cache.writeIndex(index);
+};
+
+// Returns a copy of the cached response, or undefined when there is none or it has expired. dataType is json unless
+// given.
+DataCache.prototype.get = function(url, dataType) {
+    var cache = this;
+    var key = getKey(url, dataType);
+    var entry = cache.entries[key];
+    if (!entry) {
+        entry = cache.readStorage(key);
+        if (entry) {
+            cache.remember(key, entry);
+        }
+    } else {
+        cache.keys = _.without(cache.keys, key);
+        cache.keys.push(key);
+    }
+    if (!entry) {
+        return undefined;
+    }
+    if (cache.isExpired(entry)) {
+        cache.remove(url, dataType);
+        return undefined;
+    }
+    return entry.json ? JSON.parse(entry.text) : entry.text;
+};
+
+DataCache.prototype.set = function(url, data, dataType) {
+    var cache = this;
+    // documents such as XML responses cannot be serialized
+    if (_.isObject(data) && (data.nodeType !== undefined)) {
+        return;
+    }
+    var key = getKey(url, dataType);
+    var json = !_.isString(data);
+    var entry = {time: cache.now(), json: json, text: json ? JSON.stringify(data) : data};
+    if (cache.remember(key, entry)) {
+        cache.writeStorage(key, entry);
+    }
+};
+
+DataCache.prototype.remove = function(url, dataType) {
+    var cache = this;
+    var key = getKey(url, dataType);
+    cache.forget(key);
+    if (cache.storage) {
+        cache.storage.removeItem(storagePrefix + key);
+        cache.writeIndex(_.reject(cache.readIndex(), function(stored) {
+            return stored.key === key;
+        }));
+    }
+};
+
+DataCache.prototype.clear = function() {
+    var cache = this;
+    cache.entries = {};
+    cache.keys = [];
+    cache.size = 0;
+    if (cache.storage) {
+        var stored = [];
+        for (var i = 0; i < cache.storage.length; i++) {
+            var key = cache.storage.key(i);
+            if (key.indexOf(storagePrefix) === 0) {
+                stored.push(key);
+            }
+        }
+        _.each(stored, function(key) {
+            cache.storage.removeItem(key);
+        });
+    }
+};
+
+module.exports = DataCache;
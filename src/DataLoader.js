@@ -6,64 +6,183 @@ var $ = require('jquery');
 var _ = require('underscore');
 var Evidence = require('./Evidence');
 var Constants = require('./Constants');
+var VariantProcessing = require('./VariantProcessing');
+var VariantWorker = require('./VariantWorker');
 
-var evidenceGrouping = function (ftEvidences) {
-    var evidences = {};
-    _.each(ftEvidences, function(ev) {
-        if (evidences[ev.code]) {
-            evidences[ev.code].push(ev.source);
-        } else {
-            evidences[ev.code] = [ev.source];
-        }
+var groupEvidencesByCode = VariantProcessing.groupEvidencesByCode;
+
+var isExternal = function(source) {
+    return !!source && (source !== Constants.getUniProtSource());
+};
+
+var addConsequenceTypes = function(config, consequences) {
+    _.each(consequences, function(consequence) {
+        config.addConsequenceType(consequence);
     });
-    return evidences;
 };
 
-var groupEvidencesByCode = function(features) {
-    _.each(features, function(ft) {
-        if (ft.evidences) {
-            ft.evidences = evidenceGrouping(ft.evidences);
+var placeholders = /\{(accession|isoform|format)\}/g;
+
+var fillTemplate = function(template, values) {
+    return template.replace(placeholders, function(match, name) {
+        return values[name] ? encodeURIComponent(values[name]) : '';
+    });
+};
+
+// headers and credentials as in the fetch API, credentials 'include' sends cookies to other origins
+var toAjaxSettings = function(request) {
+    var settings = {};
+    if (request && !_.isEmpty(request.headers)) {
+        settings.headers = request.headers;
+    }
+    if (request && (request.credentials === 'include')) {
+        settings.xhrFields = {withCredentials: true};
+    }
+    return settings;
+};
+
+var isPositional = function(feature) {
+    return _.has(feature, 'variants');
+};
+
+var withdrawFeature = function(feature, sourceId, sourceName) {
+    if (_.contains(feature.sourceIds, sourceId)) {
+        feature.sourceIds = _.without(feature.sourceIds, sourceId);
+        if (sourceName && feature.externalData) {
+            delete feature.externalData[sourceName];
         }
-        if (ft.association) {
-            _.each(ft.association, function(disease) {
-                if (disease.evidences) {
-                    disease.evidences = evidenceGrouping(disease.evidences);
-                }
-            });
+    }
+    return (feature.sourceIds !== undefined) && (feature.sourceIds.length === 0);
+};
+
+// Descriptions differing only in case, spacing or final punctuation are considered the same
+var normaliseDescription = function(description) {
+    return description ? String(description).toLowerCase().replace(/\s+/g, ' ').replace(/[\s.;,]+$/, '').trim()
+        : '';
+};
+
+// Rules deciding whether features of different sources are the same, a rule can also be a function(feature, other)
+var mergeRules = {
+    type: function(feature, other) {
+        return feature.type === other.type;
+    },
+    span: function(feature, other) {
+        var end = feature.end ? feature.end : feature.begin, otherEnd = other.end ? other.end : other.begin;
+        return (+feature.begin === +other.begin) && (+end === +otherEnd);
+    },
+    description: function(feature, other) {
+        return normaliseDescription(feature.description) === normaliseDescription(other.description);
+    }
+};
+
+// Keys of the rules above, features can only be the same when their keys are
+var mergeKeys = {
+    type: function(feature) {
+        return feature.type;
+    },
+    span: function(feature) {
+        return [+feature.begin, +(feature.end ? feature.end : feature.begin)];
+    },
+    description: function(feature) {
+        return normaliseDescription(feature.description);
+    }
+};
+
+// Number of sources reporting the features, counting stops at two as there is nothing to merge below
+var countSources = function(features) {
+    var sourceIds = {}, count = 0;
+    for (var i = 0; (i < features.length) && (count < 2); i++) {
+        for (var j = 0; features[i].sourceIds && (j < features[i].sourceIds.length); j++) {
+            if (!_.has(sourceIds, features[i].sourceIds[j])) {
+                sourceIds[features[i].sourceIds[j]] = true;
+                count++;
+            }
         }
+    }
+    return count;
+};
+
+var getReferenceKey = function(reference) {
+    return reference.name + ':' + reference.id;
+};
+
+// Evidences are grouped by code at this point
+var mergeEvidences = function(features) {
+    var evidences = {};
+    _.each(features, function(feature) {
+        _.each(feature.evidences, function(sources, code) {
+            evidences[code] = _.uniq((evidences[code] ? evidences[code] : []).concat(sources), false,
+                function(source) {
+                    return source ? getReferenceKey(source) : source;
+                });
+        });
     });
-    return features;
+    return evidences;
 };
 
-var setVariantData = function(source, d) {
-    var datum = {};
-    if (source && (source !== Constants.getUniProtSource())) {
-        datum.begin = d.begin;
-        delete d.begin;
-        datum.end = d.end;
-        delete d.end;
-        datum.wildType = d.wildType;
-        delete d.wildType;
-        datum.alternativeSequence = d.alternativeSequence;
-        delete d.alternativeSequence;
-        datum.sourceType = d.sourceType;
-        delete d.sourceType;
-        datum.type = d.type;
-        delete d.type;
-        datum.externalData = {};
-        datum.externalData[source] = d;
-    } else {
-        datum = d;
+var createMergedFeature = function(features) {
+    var merged = _.extend({}, features[0]);
+    merged.sourceIds = _.union.apply(_, _.map(features, function(feature) {
+        return feature.sourceIds ? feature.sourceIds : [];
+    }));
+    merged.sources = merged.sourceIds;
+    merged.mergedFeatures = features;
+    if (_.some(features, _.property('evidences'))) {
+        merged.evidences = mergeEvidences(features);
     }
-    return datum;
+    if (_.some(features, _.property('xrefs'))) {
+        merged.xrefs = _.uniq(_.flatten(_.compact(_.pluck(features, 'xrefs')), true), false, getReferenceKey);
+    }
+    return merged;
 };
 
 var DataLoader = function() {
     return {
-        get: function(url) {
-            return $.getJSON(url);
+        // Source URLs can be templates with {accession}, {isoform} and {format} placeholders, accession is then the
+        // accession without isoform suffix. URLs without placeholders are followed by the accession and, with
+        // useExtension, by the format. params are added to the query string and can use the placeholders too.
+        buildUrl: function(source, accession, format, useExtension) {
+            var values = {
+                accession: accession ? accession.split('-')[0] : accession,
+                isoform: accession,
+                format: format
+            };
+            var url = source.url.search(placeholders) !== -1
+                ? fillTemplate(source.url, values)
+                : source.url + (accession ? accession : '') + (useExtension ? '.' + format : '');
+            var query = _.map(source.params, function(value, name) {
+                return encodeURIComponent(name) + '=' + encodeURIComponent(fillTemplate(String(value), values));
+            });
+            return query.length === 0 ? url : url + (url.indexOf('?') === -1 ? '?' : '&') + query.join('&');
+        },
+        toAjaxSettings: toAjaxSettings,
+        // Requests with headers or credentials are never cached, their responses can be private to the user
+        get: function(url, dataType, cache, request) {
+            var settings = toAjaxSettings(request);
+            cache = _.isEmpty(settings) ? cache : undefined;
+            var cached = cache ? cache.get(url, dataType) : undefined;
+            if (cached !== undefined) {
+                return $.Deferred().resolve(cached).promise();
+            }
+            var loader = (_.isEmpty(settings) && (!dataType || (dataType === 'json')))
+                ? $.getJSON(url)
+                : $.ajax(_.extend({url: url, dataType: dataType ? dataType : 'json'}, settings));
+            if (cache) {
+                loader.done(function(data) {
+                    cache.set(url, data, dataType);
+                });
+            }
+            return loader;
+        },
+        resolve: function(data) {
+            //processing mutates the payload, so the caller keeps its own copy untouched
+            var copy = data instanceof Array ? $.extend(true, [], data)
+                : _.isObject(data) ? $.extend(true, {}, data)
+                : data;
+            return $.Deferred().resolve(copy).promise();
         },
-        groupFeaturesByCategory: function(features, sequence, source, includeVariants) {
+        groupFeaturesByCategory: function(features, sequence, source, includeVariants, config) {
+            config = config ? config : Constants;
             features = groupEvidencesByCode(features);
             var categories = _.groupBy(features, function(d) {
                 return d.category;
@@ -76,7 +195,7 @@ var DataLoader = function() {
                 delete categories.VARIANTS;
             }
             var orderedPairs = [];
-            var categoriesNames = Constants.getCategoryNamesInOrder();
+            var categoriesNames = config.getCategoryNamesInOrder();
             categoriesNames = _.pluck(categoriesNames, 'name');
             var newCategoryNames = [];
             _.each(categories, function(catInfo, catKey) {
@@ -89,8 +208,8 @@ var DataLoader = function() {
                 }
             });
             if (newCategoryNames.length !== 0) {
-                Constants.addCategories(newCategoryNames);
-                categoriesNames = Constants.getCategoryNamesInOrder();
+                config.addCategories(newCategoryNames);
+                categoriesNames = config.getCategoryNamesInOrder();
                 categoriesNames = _.pluck(categoriesNames, 'name');
             }
             _.each(categoriesNames, function(catName) {
@@ -102,7 +221,7 @@ var DataLoader = function() {
                 }
             });
             if (variants) {
-                var orderedVariantPairs = DataLoader.processVariants(variants, sequence, source, true);
+                var orderedVariantPairs = DataLoader.processVariants(variants, sequence, source, true, config);
                 orderedPairs.push(orderedVariantPairs[0]);
             }
             return orderedPairs;
@@ -121,60 +240,212 @@ var DataLoader = function() {
                 ['PROTEOMICS', types]
             ];
         },
-        processUngroupedFeatures: function(features) {
-            features = groupEvidencesByCode(features);
-            return [
-                [features[0].type, features]
-            ];
+        // Checks positions and types before features reach the viewers. Features that cannot be drawn are rejected,
+        // the ones with fixable positions are corrected and the ones with an unknown type are kept. Every such feature
+        // is reported in issues with the action taken and its reason.
+        validateFeatures: function(features, sequence, config) {
+            config = config ? config : Constants;
+            return VariantProcessing.validateFeatures(features, sequence, _.keys(config.getTrackNames()));
+        },
+        createIssue: VariantProcessing.createIssue,
+        // Moves features onto the sequence an alignment maps to. Features entirely aligned to a gap are dropped, or
+        // with gaps set to 'flag' placed around the gap and flagged with mapping.gap. Remapped features keep their
+        // original positions in mapping, together with the name of the sequence they were annotated on and whether
+        // that sequence differs within the feature.
+        remapFeatures: function(features, alignment, from, gaps) {
+            var remapped = [], dropped = [];
+            _.each(features, function(feature) {
+                var range = alignment.mapRange(feature.begin, feature.end);
+                if (!range && (gaps === 'flag')) {
+                    range = _.extend(alignment.locateGap(feature.begin, feature.end), {changed: true, gap: true});
+                }
+                if (range) {
+                    feature.mapping = {
+                        from: from,
+                        begin: feature.begin,
+                        end: feature.end,
+                        changed: range.changed
+                    };
+                    if (range.gap) {
+                        feature.mapping.gap = true;
+                    }
+                    feature.begin = _.isString(feature.begin) ? String(range.begin) : range.begin;
+                    if (feature.end !== undefined) {
+                        feature.end = _.isString(feature.end) ? String(range.end) : range.end;
+                    }
+                    remapped.push(feature);
+                } else {
+                    dropped.push(feature);
+                }
+            });
+            return {features: remapped, dropped: dropped};
         },
-        processVariants: function(variants, sequence, source, evidenceAlreadyGrouped) {
-            if (source && (source !== Constants.getUniProtSource())) {
-                _.each(variants, function(variant) {
-                    delete variant.category;
+        // Records the source of every feature of categorised data in sourceIds
+        setProvenance: function(categories, sourceId) {
+            _.each(categories, function(category) {
+                _.each(category[1], function(feature) {
+                    if (isPositional(feature)) {
+                        _.each(feature.variants, function(variant) {
+                            variant.sourceIds = [sourceId];
+                        });
+                    } else {
+                        feature.sourceIds = [sourceId];
+                    }
                 });
-            }
-            if (!evidenceAlreadyGrouped) {
-                variants = groupEvidencesByCode(variants);
-            }
-            var mutationArray = [];
-            mutationArray.push({
-                'type': 'VARIANT',
-                'normal': '-',
-                'pos': 0,
-                'variants': []
             });
-            var seq = sequence.split('');
-            _.each(seq, function(d, i) {
-                mutationArray.push({
-                    'type': 'VARIANT',
-                    'normal': seq[i],
-                    'pos': i + 1,
-                    'variants': []
+            return categories;
+        },
+        // Removes a source from the features of one category. Features provided by other sources too are kept without
+        // it, sourceName is given when the data it added to externalData should go as well.
+        withdrawFeatures: function(features, sourceId, sourceName) {
+            if (features.length && isPositional(features[0])) {
+                _.each(features, function(position) {
+                    position.variants = _.reject(position.variants, function(variant) {
+                        return withdrawFeature(variant, sourceId, sourceName);
+                    });
                 });
+                return features;
+            }
+            return _.reject(features, function(feature) {
+                return withdrawFeature(feature, sourceId, sourceName);
             });
-            mutationArray.push({
-                'type': 'VARIANT',
-                'normal': '-',
-                'pos': seq.length + 1,
-                'variants': []
+        },
+        // Features are shared by the data of their source and by the category drawing them, so features left without
+        // any source by a previous withdrawal count as well
+        hasSource: function(features, sourceId) {
+            var provided = function(feature) {
+                return _.contains(feature.sourceIds, sourceId)
+                    || ((feature.sourceIds !== undefined) && (feature.sourceIds.length === 0));
+            };
+            return _.some(features, function(feature) {
+                return isPositional(feature) ? _.some(feature.variants, provided) : provided(feature);
             });
-
-            _.each(variants, function(d) {
-                d.begin = +d.begin;
-                d.end = d.end ? +d.end : d.begin;
-                d.wildType = d.wildType ? d.wildType : sequence.substring(d.begin, d.end + 1);
-                if ((1 <= d.begin) && (d.begin <= seq.length)) {
-                    mutationArray[d.begin].variants.push(setVariantData(source, d));
-                } else if ((seq.length + 1) === d.begin) {
-                    mutationArray[d.begin - 1].variants.push(setVariantData(source, d));
+        },
+        // Draws features reported by several sources once. Features of different sources matching every rule, by
+        // name or as functions, are replaced by a merged feature listing the sources and the features it stands for.
+        mergeFeatures: function(features, rules) {
+            rules = rules ? rules : ['type', 'span', 'description'];
+            if (countSources(features) < 2) {
+                return features;
+            }
+            var matchers = _.map(rules, function(rule) {
+                return _.isFunction(rule) ? rule : mergeRules[rule];
+            });
+            var keys = _.compact(_.map(rules, function(rule) {
+                return _.isFunction(rule) ? undefined : mergeKeys[rule];
+            }));
+            // only features with the same key are compared, groups know the sources of their features
+            var groups = [], buckets = {};
+            _.each(features, function(feature) {
+                if (!feature.sourceIds) {
+                    groups.push({features: [feature]});
+                    return;
                 }
-                if (d.consequence) {
-                    Constants.addConsequenceType(d.consequence);
+                var key = JSON.stringify(_.map(keys, function(getKey) {
+                    return getKey(feature);
+                }));
+                var bucket = _.has(buckets, key) ? buckets[key] : (buckets[key] = []);
+                var group = _.find(bucket, function(candidate) {
+                    return !_.some(feature.sourceIds, function(sourceId) {
+                        return _.has(candidate.sourceIds, sourceId);
+                    }) && _.every(matchers, function(matcher) {
+                        return matcher(candidate.features[0], feature);
+                    });
+                });
+                if (!group) {
+                    group = {features: [], sourceIds: {}};
+                    groups.push(group);
+                    bucket.push(group);
                 }
+                group.features.push(feature);
+                _.each(feature.sourceIds, function(sourceId) {
+                    group.sourceIds[sourceId] = true;
+                });
             });
+            return _.map(groups, function(group) {
+                return group.features.length === 1 ? group.features[0] : createMergedFeature(group.features);
+            });
+        },
+        countFeatures: function(features) {
+            return features.length && isPositional(features[0])
+                ? _.reduce(features, function(count, position) {
+                    return count + position.variants.length;
+                }, 0)
+                : features.length;
+        },
+        processUngroupedFeatures: function(features) {
+            features = groupEvidencesByCode(features);
             return [
-                ['VARIATION', mutationArray]
+                [features[0].type, features]
             ];
+        },
+        processVariants: function(variants, sequence, source, evidenceAlreadyGrouped, config) {
+            config = config ? config : Constants;
+            var processed = VariantProcessing.processVariants(variants, sequence, source, isExternal(source),
+                evidenceAlreadyGrouped);
+            addConsequenceTypes(config, processed.consequences);
+            return [
+                ['VARIATION', processed.positions]
+            ];
+        },
+        // Same as processVariants, in a worker so that the page stays responsive with large payloads. The promise is
+        // notified of the share of variants processed. Variants are processed here whenever no worker can be used.
+        processVariantsInWorker: function(variants, sequence, source, evidenceAlreadyGrouped, config) {
+            config = config ? config : Constants;
+            var processed = $.Deferred();
+            VariantWorker.processVariants(variants, sequence, source, isExternal(source), evidenceAlreadyGrouped)
+                .progress(processed.notify)
+                .done(function(result) {
+                    addConsequenceTypes(config, result.consequences);
+                    processed.resolve([
+                        ['VARIATION', VariantProcessing.toPositions(sequence, result)]
+                    ]);
+                })
+                .fail(function() {
+                    try {
+                        processed.resolve(DataLoader.processVariants(variants, sequence, source,
+                            evidenceAlreadyGrouped, config));
+                    } catch (e) {
+                        processed.reject(e);
+                    }
+                });
+            return processed.promise();
+        },
+        canParseInWorker: function() {
+            return VariantWorker.isSupported();
+        },
+        // Parses a response text, or copies an inline payload, in the worker where the features stay. Resolves with a
+        // stand-in for the payload that has no features but its featureCount, see VariantWorker.parsePayload. It is
+        // rejected when no worker can be used.
+        parseInWorker: function(raw) {
+            return VariantWorker.parsePayload(raw);
+        },
+        // Validates and processes the variants of a payload parsed by parseInWorker, as validateFeatures and
+        // processVariants would. Resolves with the processed features, the issues found and the number of valid
+        // variants.
+        processPayloadInWorker: function(payload, sequence, validationSequence, source, config) {
+            config = config ? config : Constants;
+            var processed = $.Deferred();
+            VariantWorker.processPayload(payload.workerPayload, sequence, validationSequence,
+                _.keys(config.getTrackNames()), source, isExternal(source))
+                .progress(processed.notify)
+                .done(function(result) {
+                    addConsequenceTypes(config, result.consequences);
+                    processed.resolve({
+                        features: [['VARIATION', VariantProcessing.toPositions(sequence, result)]],
+                        issues: result.issues,
+                        featureCount: result.featureCount
+                    });
+                })
+                .fail(processed.reject);
+            return processed.promise();
+        },
+        // The payload parsed by parseInWorker, with its features
+        takeFromWorker: function(payload) {
+            return VariantWorker.takePayload(payload.workerPayload);
+        },
+        releaseFromWorker: function(payload) {
+            VariantWorker.releasePayload(payload.workerPayload);
         }
     };
 }();
@@ -5,6 +5,7 @@
 var $ = require('jquery');
 var _ = require('underscore');
 var Constants = require('./Constants');
+var DataLoader = require('./DataLoader');
 var JSZip = require('jszip');
 var FileSaver = require('file-saver');
 
@@ -13,18 +14,35 @@ var getFileName = function(accession, source, format) {
         (source.category ? '_' + source.category.toLowerCase() : '') + '.' + format;
 };
 
+var toFasta = function(customSequence) {
+    var lines = customSequence.sequence.match(/.{1,60}/g);
+    return '>' + customSequence.name + '\n' + lines.join('\n') + '\n';
+};
+
 var DownloadDataLoader = function() {
     return {
-        get: function(accession, format, isSafari) {
+        // Without accession, customSequence {name, sequence} is added to the archive as a FASTA file
+        get: function(accession, format, isSafari, dataSources, customSequence) {
+            dataSources = dataSources ? dataSources : Constants.getDataSources();
             var zip = new JSZip();
+            var fileAccession = accession ? accession : customSequence ? customSequence.name : '';
+            if (customSequence) {
+                zip.file(customSequence.name + '.fasta', toFasta(customSequence));
+            }
             var delegates = [];
-            _.each(Constants.getDataSources(), function() {
+            _.each(dataSources, function() {
                 var delegate = $.Deferred();
                 delegates.push(delegate);
             });
-            _.each(Constants.getDataSources(), function(source, index) {
-                var extension = source.source === Constants.getUniProtSource() ? '' : '.' + format;
-                var loader = $.ajax({
+            _.each(dataSources, function(source, index) {
+                if (source.data) {
+                    // inline data is only available as it was given
+                    zip.file(getFileName(fileAccession, source, 'json'), JSON.stringify(source.data));
+                    delegates[index].resolve();
+                    return;
+                }
+                var useExtension = source.source !== Constants.getUniProtSource();
+                var loader = $.ajax(_.extend({
                     accepts: { gff: 'text/x-gff', json: 'application/json', xml: 'application/xml' },
                     converters: {
                         'text gff': function(result) { return result; },
@@ -32,16 +50,16 @@ var DownloadDataLoader = function() {
                         'text xml': function(result) { return result; }
                     },
                     dataType: format,
-                    url: source.url + accession + extension
-                }).done(function(d) {
+                    url: DataLoader.buildUrl(source, accession, format, useExtension)
+                }, DataLoader.toAjaxSettings(source))).done(function(d) {
                     if (loader.getResponseHeader('Content-type').indexOf(format) !== -1) {
-                        zip.file(getFileName(accession, source, format), d);
+                        zip.file(getFileName(fileAccession, source, format), d);
                     } else {
-                        zip.file(getFileName(accession, source, format), 'Unable to retrieve the data in the required' +
+                        zip.file(getFileName(fileAccession, source, format), 'Unable to retrieve the data in the required' +
                             'format ' + format + '.');
                     }
                 }).fail(function (e) {
-                    zip.file(getFileName(accession, source, format), 'Unable to retrieve the data at this time.' +
+                    zip.file(getFileName(fileAccession, source, format), 'Unable to retrieve the data at this time.' +
                         ' Please try again later.');
                 }).always(function() {
                     delegates[index].resolve();
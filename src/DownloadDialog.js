@@ -13,7 +13,7 @@ var populateDialog = function (fv, wrapper) {
     var isSafari = (navigator.vendor.indexOf("Apple") === 0) && /\sSafari\//.test(navigator.userAgent);
 
     var selected = true;
-    var allFormats = Constants.getExternalDataSource() === undefined
+    var allFormats = (fv.config.getExternalDataSources().length === 0) && !fv.customSequence
         ? Constants.getDownloadFormats()
         : _.filter(Constants.getDownloadFormats(), function(format) {
             return format.all;
@@ -43,7 +43,8 @@ var populateDialog = function (fv, wrapper) {
             var selected = wrapper.selectAll('input').filter(function() {
                 return d3.select(this).property('checked');
             });
-            DownloadDataLoader.get(fv.uniprotacc, selected.attr('value'), isSafari);
+            DownloadDataLoader.get(fv.uniprotacc, selected.attr('value'), isSafari,
+                fv.dataSources ? fv.dataSources : fv.config.getDataSources(), fv.customSequence);
         });
 };
 
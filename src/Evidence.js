@@ -43,6 +43,19 @@ var Evidence = function() {
                     || xref.name === 'ESP'
                 })
             }
+        }, createSource: function(name, id) {
+            var source = {name: name, id: id};
+            if (name === 'PubMed') {
+                source.url = 'http://www.ncbi.nlm.nih.gov/pubmed/' + id;
+                source.alternativeUrl = 'http://europepmc.org/abstract/MED/' + id;
+            } else if (name === 'UniProtKB') {
+                source.url = 'http://www.uniprot.org/uniprot/' + id;
+            } else if (name === 'PDB') {
+                source.url = 'http://www.ebi.ac.uk/pdbe-srv/view/entry/' + id;
+            } else if (name === 'PROSITE-ProRule') {
+                source.url = 'http://prosite.expasy.org/unirule/' + id;
+            }
+            return source;
         },existAssociation: function(association) {
             if (association) {
                 if (association.length !== 0) {
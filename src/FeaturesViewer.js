@@ -6,6 +6,10 @@ var d3 = require("d3");
 
 var Constants = require("./Constants");
 var DataLoader = require("./DataLoader");
+var DataCache = require("./DataCache");
+var SourceAdapters = require("./SourceAdapters");
+var SequenceValidator = require("./SequenceValidator");
+var SequenceAligner = require("./SequenceAligner");
 var CategoryFactory = require("./CategoryFactory");
 var ViewerHelper = require("./ViewerHelper");
 var FeatureFactory = require("./FeatureFactory");
@@ -13,8 +17,17 @@ var CategoryFilterDialog = require("./CategoryFilterDialog");
 var DownloadDialog = require("./DownloadDialog");
 var HighlightRegionDialog = require("./HighlightRegionDialog");
 var TooltipFactory = require('./TooltipFactory');
+var VariantFilterDialog = require('./VariantFilterDialog');
 var jQuery = require('jquery');
 
+// tracks take the width of the host element but for the column of category names on their left
+var labelWidth = 200, minWidth = 200;
+var viewerCount = 0;
+
+var dispatcherEvents = ["featureSelected", "featureDeselected", "ready", "noDataAvailable", "noDataRetrieved",
+    "notFound", "notConfigRetrieved", "regionHighlighted", "sourceLoaded", "sourceFailed", "sequenceMismatch",
+    "dataWarnings", "isoformsFailed"];
+
 var updateZoomFromChart = function(fv) {
     fv.zoom.x(fv.xScale);
 
@@ -41,6 +54,32 @@ var update = function(fv) {
     });
 };
 
+// Zoom and brush events come faster than the screen refreshes, their redraws are grouped into one per frame and only
+// draw what is near the view
+var updateGesture = function(fv) {
+    fv.partialUpdate = true;
+    update(fv);
+    fv.partialUpdate = false;
+};
+
+var requestUpdate = function(fv) {
+    if (!window.requestAnimationFrame) {
+        updateGesture(fv);
+    } else if (fv.updateFrame === undefined) {
+        fv.updateFrame = window.requestAnimationFrame(function() {
+            fv.updateFrame = undefined;
+            updateGesture(fv);
+        });
+    }
+};
+
+var cancelUpdate = function(fv) {
+    if (fv.updateFrame !== undefined) {
+        window.cancelAnimationFrame(fv.updateFrame);
+        fv.updateFrame = undefined;
+    }
+};
+
 var updateZoomButton = function(fv, currentClass, newClass, newTitle) {
     try {
         var zoomBtn = fv.globalContainer.select('.' + currentClass);
@@ -104,7 +143,7 @@ var createZoom = function(fv) {
                 var translatedX = zoom.translate()[0] - fv.xScale(fv.maxPos) + fv.xScale.range()[1];
                 zoom.translate([translatedX, 0]);
             }
-            update(fv);
+            requestUpdate(fv);
             updateViewportFromChart(fv);
         });
     return zoom;
@@ -161,7 +200,7 @@ var createNavRuler = function(fv, container) {
                 d3.event.target(d3.select(this));
             }
             fv.xScale.domain(viewport.empty() ? navXScale.domain() : viewport.extent());
-            update(fv);
+            requestUpdate(fv);
             viewport.updateTrapezoid();
         });
     viewport.on("brushstart", function () {
@@ -224,6 +263,13 @@ var createNavRuler = function(fv, container) {
         this.trapezoid.attr("d", "M0,0");
     };
 
+    viewport.resize = function() {
+        navXScale.range([fv.padding.left, fv.width - fv.padding.right]);
+        svg.attr('width', fv.width);
+        svg.select('.x.axis').call(navXAxis.scale(fv.xScale.copy().domain([1, fv.maxPos + 1])));
+        this.domainEndLabel.attr('x', fv.width);
+    };
+
     return viewport;
 };
 
@@ -264,6 +310,29 @@ var createButtons = function(fv, data, container) {
         });
 };
 
+// The merge toggle is offered only where features can come from several sources, under the credit link
+var updateMergeToggle = function(fv) {
+    if (!fv.footer) {
+        return;
+    }
+    var offered = !!fv.mergeRules || (fv.dataSources.length > 1);
+    var mergeToggle = fv.footer.select('.up_pftv_merge-toggle');
+    if (!offered) {
+        mergeToggle.remove();
+    } else if (mergeToggle.empty()) {
+        mergeToggle = fv.footer.select('.up_pftv_credit_container').append('label')
+            .attr('class', 'up_pftv_merge-toggle')
+            .attr('title', 'Draw the features reported by several sources once');
+        mergeToggle.append('input')
+            .attr('type', 'checkbox')
+            .property('checked', fv.mergeFeatures)
+            .on('change', function() {
+                fv.setFeatureMerging(d3.select(this).property('checked'));
+            });
+        mergeToggle.append('span').text('Merge sources');
+    }
+};
+
 var createCreditButtons = function(fv, data, container) {
   var linkContainer = container.append('div').attr('class','up_pftv_credit_container');
 
@@ -367,6 +436,10 @@ var createAAViewer = function(fv, container, sequence) {
         }
     };
 
+    aaViewer.resize = function() {
+        svg.attr('width', fv.width);
+    };
+
     aaViewer.updateFeatureHighlightSelector = function(begin, end) {
         selectorGroup.datum([{"feature": {"begin": begin, "end": end, "type": 'continuous'}}]).call(selectorSeries);
     };
@@ -376,8 +449,9 @@ var createAAViewer = function(fv, container, sequence) {
 
 var findFeature = function(fv, selection) {
     var lookup, varLookup;
-    _.find(fv.data, function(category) {
-        lookup =  _.find(category[1], function(feature) {
+    // drawn features, where features of several sources may be merged
+    _.find(_.pluck(fv.categories, 'data'), function(data) {
+        lookup =  _.find(data, function(feature) {
             var ftEnd = feature.end ? feature.end : feature.begin;
             if (feature.variants && (feature.type === 'VARIANT') && (feature.type === selection.type)) {
                 varLookup = _.find(feature.variants, function(variant) {
@@ -400,135 +474,1008 @@ var findFeature = function(fv, selection) {
     return varLookup ? varLookup : lookup;
 };
 
-var initSources = function (opts) {
-    if (opts.defaultSources === false) {
-        Constants.clearDataSources();
+var initSources = function (fv, opts) {
+    // UniProt sources need an accession
+    if ((opts.defaultSources === false) || fv.customSequence) {
+        fv.config.clearDataSources();
     }
+    var customDataSources = opts.customDataSources ? opts.customDataSources : [];
     if (opts.customDataSource) {
-        Constants.addSource(opts.customDataSource);
+        customDataSources = [opts.customDataSource].concat(customDataSources);
     }
+    _.each(customDataSources, function(source) {
+        fv.config.addSource(source);
+    });
 };
 
-var loadSources = function(opts, dataSources, loaders, delegates, fv) {
-    fv.initLayout(opts);
-    _.each(dataSources, function(source, index) {
-        if (!_.contains(opts.exclusions, source.category)) {
-            var url = source.url + opts.uniprotacc;
-            url = source.useExtension === true ? url + '.json' : url;
-            var dataLoader = DataLoader.get(url);
-            loaders.push(dataLoader);
-            dataLoader.done(function (d) {
-                if (d instanceof Array) //Workaround to be removed
-                    d = d[0];
-                // First promise to resolve will set global parameters
-                if (!fv.sequence) {
-                    fv.loadZoom(d);
+var getInlineSources = function(data) {
+    if (!data) {
+        return [];
+    }
+    data = data instanceof Array ? data : [data];
+    return _.map(data, function(payload) {
+        return _.has(payload, 'data') ? payload : {source: Constants.getUniProtSource(), data: payload};
+    });
+};
+
+var getCanonicalAccession = function(accession) {
+    return accession ? accession.split('-')[0] : accession;
+};
+
+var isIsoform = function(accession) {
+    return !!accession && (accession !== getCanonicalAccession(accession));
+};
+
+var toIsoform = function(isoform) {
+    if (_.isString(isoform)) {
+        return {accession: isoform};
+    }
+    // entries from the Proteins API nest the residues
+    var sequence = isoform.sequence && isoform.sequence.sequence ? isoform.sequence.sequence : isoform.sequence;
+    return {accession: isoform.accession, name: isoform.name, sequence: sequence};
+};
+
+// Isoforms of the displayed entry, canonical first. opts.isoforms lists them as accessions or as
+// {accession, name, sequence}, with true they are retrieved from the Proteins API. The list is kept while any isoform
+// of the same entry is displayed.
+var loadIsoforms = function(fv, opts) {
+    var canonical = getCanonicalAccession(opts.uniprotacc);
+    if (fv.isoformsLoaded && (fv.isoformsAccession === canonical)) {
+        return fv.isoformsLoaded;
+    }
+    fv.isoformsAccession = canonical;
+    fv.isoforms = [];
+    var loader;
+    if (!opts.isoforms || !canonical) {
+        loader = jQuery.Deferred().resolve([]);
+    } else if (opts.isoforms === true) {
+        var url = DataLoader.buildUrl({url: Constants.getIsoformsURL()}, canonical, 'json');
+        // without the list the entry is displayed without isoform selector
+        loader = DataLoader.get(url, 'json', fv.cache).then(null, function(e) {
+            fv.dispatcher.isoformsFailed({accession: canonical, url: url, error: getErrorMessage(e)});
+            return jQuery.Deferred().resolve([]);
+        });
+    } else {
+        loader = jQuery.Deferred().resolve(opts.isoforms);
+    }
+    fv.isoformsLoaded = loader.then(function(isoforms) {
+        var list = _.map(isoforms instanceof Array ? isoforms : [], toIsoform);
+        var canonicalIsoform = _.findWhere(list, {accession: canonical});
+        list = [canonicalIsoform ? canonicalIsoform : {accession: canonical}].concat(_.without(list, canonicalIsoform));
+        if (fv.isoformsAccession === canonical) {
+            fv.isoforms = list;
+        }
+        return list;
+    });
+    return fv.isoformsLoaded;
+};
+
+var createIsoformSelector = function(fv) {
+    var header = fv.header;
+    fv.isoformsLoaded.done(function(isoforms) {
+        if ((fv.header !== header) || (isoforms.length < 2)) {
+            return;
+        }
+        var selector = header.select('.up_pftv_buttons').insert('div', ':first-child')
+            .attr('class', 'up_pftv_isoforms');
+        selector.append('select')
+            .attr('class', 'up_pftv_isoform-selector')
+            .attr('title', 'Isoform')
+            .on('change', function() {
+                fv.setAccession(d3.select(this).property('value'));
+            })
+            .selectAll('option')
+            .data(isoforms)
+            .enter().append('option')
+            .attr('value', function(isoform) {
+                return isoform.accession;
+            })
+            .property('selected', function(isoform) {
+                return isoform.accession === fv.uniprotacc;
+            })
+            .text(function(isoform) {
+                return isoform.name ? isoform.accession + ' (' + isoform.name + ')' : isoform.accession;
+            });
+    });
+};
+
+// Large variant payloads are processed in a worker, the loading placeholder of the source shows how far it went
+var showProcessingProgress = function(fv, source, summary, progress) {
+    var name = source.category ? source.category : summary.source;
+    var container = getCategoryContainer(fv, name);
+    var placeholder = container.select('.up_pftv_category-loading');
+    if (placeholder.empty()) {
+        addLoadingPlaceholder(fv, container, source.category ? fv.config.getCategoryInfo(source.category).label
+            : fv.config.getExternalSourceInfo(summary.source).label);
+        placeholder = container.select('.up_pftv_category-loading');
+    }
+    var bar = placeholder.select('.up_pftv_progress-bar');
+    if (bar.empty()) {
+        bar = placeholder.append('div')
+            .attr('class', 'up_pftv_progress')
+            .append('div')
+            .attr('class', 'up_pftv_progress-bar');
+    }
+    bar.style('width', Math.round(progress * 100) + '%');
+};
+
+var useWorker = function(fv, features) {
+    return (fv.workerThreshold !== false) && (features.length >= fv.workerThreshold);
+};
+
+// Validates the features and resolves with them grouped by category, ready to be drawn. Issues and the number of
+// valid features go to the summary.
+var processSourceData = function(fv, opts, source, d, summary, onProgress) {
+    var validationSequence = fv.sequence ? fv.sequence : d.sequence;
+    // First promise to resolve will set global parameters
+    if (!fv.sequence) {
+        fv.loadZoom(d);
+    }
+    var sequence = d.sequence ? d.sequence : fv.sequence;
+    if (d.workerPayload !== undefined) {
+        if (_.contains(opts.exclusions, 'VARIATION')) {
+            releasePayload(d);
+            return jQuery.Deferred().resolve([]).promise();
+        }
+        return DataLoader.processPayloadInWorker(d, sequence, validationSequence, source.source, fv.config)
+            .progress(onProgress)
+            .then(function(processed) {
+                summary.issues = summary.issues.concat(processed.issues);
+                summary.featureCount = processed.featureCount;
+                return processed.features;
+            });
+    }
+    var validation = DataLoader.validateFeatures(d.features, validationSequence, fv.config);
+    var features = validation.features;
+    summary.issues = summary.issues.concat(validation.issues);
+    summary.featureCount = features.length;
+    // group by categories
+    if (features.length > 0 && _.has(features[0], 'category')) {
+        features = DataLoader.groupFeaturesByCategory(features, sequence, source.source,
+            !_.contains(opts.exclusions, 'VARIATION'), fv.config);
+        features = _.filter(features, function (cat) {
+            return !_.contains(opts.exclusions, cat[0]);
+        });
+    } else if (features.length > 0 && features[0].type === 'VARIANT') {
+        if (_.contains(opts.exclusions, 'VARIATION')) {
+            features = [];
+        } else if (useWorker(fv, features)) {
+            return DataLoader.processVariantsInWorker(features, sequence, source.source, false, fv.config)
+                .progress(onProgress);
+        } else {
+            features = DataLoader.processVariants(features, sequence, source.source, false, fv.config);
+        }
+    } else if (features.length > 0 && features[0].type === 'PROTEOMICS') {
+        if (_.contains(opts.exclusions, 'PROTEOMICS')) {
+            features = [];
+        } else {
+            features = DataLoader.processProteomics(features);
+        }
+    } else if (features.length > 0) {
+        features = DataLoader.processUngroupedFeatures(features);
+    }
+    return jQuery.Deferred().resolve(features).promise();
+};
+
+var getErrorMessage = function(e) {
+    if (e instanceof Error) {
+        return e.message;
+    } else if (e && e.status !== undefined) {
+        return e.status + ' ' + e.statusText;
+    }
+    return e ? String(e) : 'Unknown error';
+};
+
+var getSourceName = function(source) {
+    return source.source ? source.source : Constants.getUniProtSource();
+};
+
+// Sources are identified by their id, or by their name when they have none
+var getSourceId = function(source) {
+    return source.id ? source.id : getSourceName(source);
+};
+
+// A source stops being current once its load is superseded or once it is removed from the viewer
+var isSourceCurrent = function(fv, loadId, source) {
+    return function() {
+        return (loadId === fv.loadId) && _.contains(fv.dataSources, source);
+    };
+};
+
+var createSourceSummary = function(source, url) {
+    return {
+        id: getSourceId(source),
+        source: getSourceName(source),
+        category: source.category,
+        url: url,
+        status: 'pending',
+        featureCount: 0,
+        time: undefined,
+        error: undefined,
+        issues: []
+    };
+};
+
+// Sources without their own sequence are waiting on fv.sequenceLoaded, they fail once no source can provide it
+var rejectSequenceIfMissing = function(fv, loaders) {
+    var sequenceLoaded = fv.sequenceLoaded;
+    jQuery.when.apply(null, _.map(loaders, function(loader) {
+        return loader.then(null, function() {
+            return jQuery.Deferred().resolve();
+        });
+    })).done(function() {
+        if (sequenceLoaded.state() === 'pending') {
+            sequenceLoaded.reject();
+        }
+    });
+};
+
+var getCategoryContainer = function(fv, name) {
+    var container = fv.container.select('.up_pftv_category_' + name);
+    if (!container[0][0]) {
+        container = fv.ontheFlyContainer.append('div').classed('up_pftv_category_' + name, true);
+    }
+    return container;
+};
+
+var addLoadingPlaceholder = function(fv, container, label) {
+    container.append('div')
+        .attr('class', 'up_pftv_category-loading')
+        .text('Loading ' + label + '...');
+};
+
+var showSourceFailure = function(fv, opts, source, summary, isCurrent) {
+    var name = source.category ? source.category : summary.source;
+    var label = source.category ? fv.config.getCategoryInfo(source.category).label
+        : fv.config.getExternalSourceInfo(summary.source).label;
+    var container = getCategoryContainer(fv, name);
+    container.select('.up_pftv_category-loading').remove();
+    var failure = container.append('div')
+        .attr('class', 'up_pftv_category-failed');
+    failure.append('a')
+        .attr('class', 'up_pftv_category-name up_pftv_category-name-disabled')
+        .attr('title', name)
+        .text(label)
+        .append('span')
+        .attr('class', 'up_pftv_error-badge')
+        .attr('title', 'Data could not be retrieved')
+        .text('!');
+    failure.append('span')
+        .attr('class', 'up_pftv_category-error')
+        .text(summary.error);
+    failure.append('a')
+        .attr('class', 'up_pftv_category-retry')
+        .attr('href', '#')
+        .text('Retry')
+        .on('click', function() {
+            d3.event.preventDefault();
+            failure.remove();
+            addLoadingPlaceholder(fv, container, label);
+            if (!fv.sequence && (fv.sequenceLoaded.state() === 'rejected')) {
+                fv.sequenceLoaded = jQuery.Deferred();
+            }
+            var settled = jQuery.Deferred();
+            var loader = loadSource(fv, opts, source, summary, isCurrent, settled);
+            rejectSequenceIfMissing(fv, [loader]);
+            settled.done(function() {
+                container.select('.up_pftv_category-loading').remove();
+                if (isCurrent() && (summary.status === 'loaded')) {
+                    fv.globalContainer.selectAll('.up_pftv_message').remove();
                 }
-                var features = d.features;
-                // group by categories
-                if (features.length > 0 && _.has(features[0], 'category')) {
-                    features = DataLoader.groupFeaturesByCategory(features, d.sequence, source.source,
-                        !_.contains(opts.exclusions, 'VARIATION'));
-                    features = _.filter(features, function (cat) {
-                        return !_.contains(opts.exclusions, cat[0]);
-                    });
-                } else if (features.length > 0 && features[0].type === 'VARIANT') {
-                    if (_.contains(opts.exclusions, 'VARIATION')) {
-                        features = [];
-                    } else {
-                        features = DataLoader.processVariants(features, d.sequence, source.source);
-                    }
-                } else if (features.length > 0 && features[0].type === 'PROTEOMICS') {
-                    if (_.contains(opts.exclusions, 'PROTEOMICS')) {
-                        features = [];
-                    } else {
-                        features = DataLoader.processProteomics(features);
+            });
+        });
+};
+
+var releasePayload = function(d) {
+    if (d.workerPayload !== undefined) {
+        DataLoader.releaseFromWorker(d);
+    }
+};
+
+var countFeatures = function(d) {
+    return d.workerPayload !== undefined ? d.featureCount : d.features ? d.features.length : 0;
+};
+
+// Variation sources in the default format are parsed in the worker, inline ones from workerThreshold variants on, so
+// that large payloads are neither parsed nor copied on the page
+var parsesInWorker = function(fv, source) {
+    if ((fv.workerThreshold === false) || (source.category !== 'VARIATION') || !DataLoader.canParseInWorker()
+        || (SourceAdapters.get(source.format) !== SourceAdapters.get())) {
+        return false;
+    }
+    var inline = source.data instanceof Array ? source.data[0] : source.data;
+    return !inline || (inline.features instanceof Array && (inline.features.length >= fv.workerThreshold));
+};
+
+var fetchSource = function(fv, source, summary, accession) {
+    var dataLoader, inWorker = parsesInWorker(fv, source);
+    if (source.data) {
+        dataLoader = inWorker ? jQuery.Deferred().resolve(source.data).promise() : DataLoader.resolve(source.data);
+    } else {
+        var url = DataLoader.buildUrl(source, accession, SourceAdapters.getExtension(source),
+            source.useExtension === true);
+        summary.url = url;
+        dataLoader = DataLoader.get(url, inWorker ? 'text' : SourceAdapters.getDataType(source), fv.cache, source);
+    }
+    var adapt = function(raw) {
+        return SourceAdapters.adapt(source, raw, {accession: accession, config: fv.config});
+    };
+    return !inWorker ? dataLoader.then(adapt) : dataLoader.then(function(raw) {
+        return DataLoader.parseInWorker(raw).then(null, function() {
+            // the worker could not be used after all
+            return (_.isString(raw) ? jQuery.Deferred().resolve(JSON.parse(raw)) : DataLoader.resolve(raw))
+                .then(adapt);
+        });
+    });
+};
+
+// Loads the canonical data of a source in place of the isoform one, features are remapped onto the isoform sequence
+// once validated. Without any isoform sequence there is nothing to project onto and the isoform response is kept.
+var projectCanonical = function(fv, opts, source, summary, isoformData, error) {
+    return fv.isoformsLoaded.then(function(isoforms) {
+        var isoform = _.findWhere(isoforms, {accession: opts.uniprotacc});
+        var sequence = fv.sequence ? fv.sequence
+            : isoform && isoform.sequence ? isoform.sequence
+            : isoformData ? isoformData.sequence : undefined;
+        if (!sequence) {
+            return isoformData ? isoformData : jQuery.Deferred().reject(error);
+        }
+        if (isoformData) {
+            releasePayload(isoformData);
+        }
+        var canonical = getCanonicalAccession(opts.uniprotacc);
+        return fetchSource(fv, source, summary, canonical).then(function(d) {
+            d.projection = {from: canonical, sequence: sequence};
+            summary.projectedFrom = canonical;
+            return d;
+        });
+    });
+};
+
+var getMismatchAction = function(opts, source, d) {
+    return d.projection ? 'remap'
+        : source.sequenceMismatch ? source.sequenceMismatch
+        : source.referenceSequence ? 'remap'
+        : opts.sequenceMismatch ? opts.sequenceMismatch : 'warn';
+};
+
+// Payloads parsed in the worker are brought back to the page when their features are remapped, or when they are not
+// variants
+var bringFeatures = function(fv, opts, source, d) {
+    var remapped = fv.sequence && (d.projection || source.referenceSequence
+        || (!SequenceValidator.compare(fv.sequence, d).consistent && (getMismatchAction(opts, source, d) === 'remap')));
+    if ((d.workerPayload === undefined) || (d.variants && !remapped)) {
+        return jQuery.Deferred().resolve(d).promise();
+    }
+    return DataLoader.takeFromWorker(d).then(function(payload) {
+        return _.extend(payload, _.pick(d, 'projection'));
+    });
+};
+
+// Checks the source was annotated on the displayed sequence. Depending on the sequenceMismatch option of the source or
+// of the viewer, features of a mismatching source are drawn with a warning ('warn', default), remapped onto the
+// displayed sequence ('remap') or not drawn at all ('reject'). Sources with a referenceSequence are annotated on it
+// and remapped by default, their gapFeatures option drops ('drop', default) or flags ('flag') features in gaps.
+var validateSequence = function(fv, opts, source, d, summary) {
+    if (!fv.sequence) {
+        return d;
+    }
+    if (source.referenceSequence) {
+        d.sequence = source.referenceSequence;
+    }
+    var comparison = d.projection && !d.sequence
+        ? {consistent: false, reason: 'the canonical sequence is not available'}
+        : SequenceValidator.compare(fv.sequence, d);
+    if (comparison.consistent) {
+        return d;
+    }
+    var mismatch = {
+        source: summary.source,
+        category: source.category,
+        reason: d.projection && d.sequence
+            ? 'the features are projected from the canonical sequence ' + d.projection.from
+            : comparison.reason,
+        action: getMismatchAction(opts, source, d)
+    };
+    summary.sequenceMismatch = mismatch;
+    if (mismatch.action === 'remap') {
+        if (!d.sequence) {
+            mismatch.action = 'reject';
+            mismatch.reason += ', no sequence to remap from was provided';
+        } else {
+            try {
+                var remapped = DataLoader.remapFeatures(d.features, SequenceAligner.align(d.sequence, fv.sequence),
+                    d.projection ? d.projection.from : fv.config.getExternalSourceInfo(summary.source).label,
+                    source.gapFeatures);
+                mismatch.dropped = remapped.dropped;
+                _.each(remapped.dropped, function(feature) {
+                    summary.issues.push(DataLoader.createIssue(feature, 'rejected',
+                        'the feature is aligned to a gap of the displayed sequence'));
+                });
+                _.each(_.filter(remapped.features, function(feature) {
+                    return feature.mapping.gap;
+                }), function(feature) {
+                    summary.issues.push(DataLoader.createIssue(feature, 'accepted',
+                        'the feature is aligned to a gap of the displayed sequence, it is drawn around the gap'));
+                });
+                d.features = remapped.features;
+                d.sequence = fv.sequence;
+            } catch (e) {
+                mismatch.action = 'reject';
+                mismatch.reason += ', ' + e.message;
+            }
+        }
+    }
+    fv.dispatcher.sequenceMismatch(mismatch);
+    if (mismatch.action === 'reject') {
+        throw new Error('Sequence mismatch: ' + mismatch.reason);
+    }
+    return d;
+};
+
+var flagSequenceMismatch = function(fv, features, mismatch) {
+    var label = fv.config.getExternalSourceInfo(mismatch.source).label;
+    var message = 'Features from ' + label + ' were annotated on a different sequence: ' + mismatch.reason
+        + (mismatch.action === 'remap' ? '. They have been remapped onto the displayed sequence.' : '.');
+    _.each(features, function(category) {
+        var found = _.find(fv.categories, function(cat) {
+            return cat.name === category[0];
+        });
+        if (found) {
+            found.addWarning(message);
+        }
+    });
+};
+
+var getSourceDiagnostics = function(summary) {
+    return {source: summary.source, category: summary.category, url: summary.url, issues: summary.issues};
+};
+
+// Loads, adapts and draws a single source, settled is resolved once the source has been drawn or has failed
+var loadSource = function(fv, opts, source, summary, isCurrent, settled) {
+    var dataLoader, start = Date.now();
+    var sequenceLoaded = fv.sequenceLoaded;
+    summary.status = 'pending';
+    summary.error = undefined;
+    summary.sequenceMismatch = undefined;
+    summary.issues = [];
+    summary.projectedFrom = undefined;
+    dataLoader = fetchSource(fv, source, summary, opts.uniprotacc);
+    if (isIsoform(opts.uniprotacc) && !source.data) {
+        // isoforms without their own annotation display the canonical one
+        dataLoader = dataLoader.then(function(d) {
+            return countFeatures(d) !== 0 ? d : projectCanonical(fv, opts, source, summary, d);
+        }, function(e) {
+            return projectCanonical(fv, opts, source, summary, undefined, e);
+        });
+    }
+    var sourceFailed = function(e) {
+        if (isCurrent()) {
+            summary.status = 'failed';
+            summary.error = getErrorMessage(e);
+            summary.time = Date.now() - start;
+            showSourceFailure(fv, opts, source, summary, isCurrent);
+            fv.dispatcher.sourceFailed(summary);
+        }
+        settled.resolve();
+    };
+    dataLoader.done(function (d) {
+        // sources without their own sequence, or annotated on a reference one, wait for any other source to provide it
+        var sequenceReady = (d.sequence && !source.referenceSequence) || d.projection ? jQuery.Deferred().resolve()
+            : sequenceLoaded;
+        sequenceReady.done(function() {
+            if (!isCurrent()) {
+                releasePayload(d);
+                settled.resolve();
+                return;
+            }
+            if (d.projection && !fv.sequence) {
+                fv.loadZoom({sequence: d.projection.sequence, accession: opts.uniprotacc});
+            }
+            bringFeatures(fv, opts, source, d).then(function(payload) {
+                d = validateSequence(fv, opts, source, payload, summary);
+                return processSourceData(fv, opts, source, d, summary, function(progress) {
+                    if (isCurrent()) {
+                        showProcessingProgress(fv, source, summary, progress);
                     }
-                } else if (features.length > 0) {
-                    features = DataLoader.processUngroupedFeatures(features);
+                });
+            }).done(function(processed) {
+                if (!isCurrent()) {
+                    settled.resolve();
+                    return;
                 }
+                var features = DataLoader.setProvenance(processed, summary.id);
+                summary.status = 'loaded';
+                summary.time = Date.now() - start;
                 if (features.length >= 0) {
                     fv.drawCategories(features, fv);
                     fv.data = fv.data.concat(features);
+                    if (summary.sequenceMismatch) {
+                        flagSequenceMismatch(fv, features, summary.sequenceMismatch);
+                    }
                     fv.dispatcher.ready();
                 }
-            }).fail(function (e) {
-                console.log(e);
-            }).always(function () {
-                delegates[index].resolve();
+                if (summary.issues.length !== 0) {
+                    fv.dispatcher.dataWarnings(getSourceDiagnostics(summary));
+                }
+                fv.dispatcher.sourceLoaded(summary);
+                settled.resolve();
+            }).fail(function(e) {
+                releasePayload(d);
+                sourceFailed(e);
             });
+        }).fail(function() {
+            releasePayload(d);
+            sourceFailed(new Error('No sequence is available for this source'));
+        });
+    }).fail(sourceFailed);
+    return dataLoader;
+};
+
+var loadSources = function(opts, dataSources, loaders, delegates, fv, loadId, summaries) {
+    fv.initLayout(opts);
+    if (fv.customSequence) {
+        fv.loadZoom({sequence: fv.customSequence.sequence, accession: fv.customSequence.name});
+    }
+    _.each(dataSources, function(source, index) {
+        if (!_.contains(opts.exclusions, source.category)) {
+            // anything still arriving after the viewer has been reset or destroyed is ignored
+            loaders.push(loadSource(fv, opts, source, summaries[index], isSourceCurrent(fv, loadId, source),
+                delegates[index]));
         } else {
+            summaries[index].status = 'excluded';
             delegates[index].resolve();
         }
     });
+    rejectSequenceIfMissing(fv, loaders);
+};
+
+// Settles fv.loaded for a load that is superseded by another one or by destroy
+var cancelLoad = function(fv) {
+    if (fv.cancelLoad) {
+        fv.cancelLoad();
+        fv.cancelLoad = undefined;
+    }
+};
+
+var loadDataSources = function(fv, opts, dataSources) {
+    var loaders = [], delegates = [], summaries = [];
+    // sources added meanwhile through fv.addSource are loaded on their own
+    dataSources = dataSources.slice(0);
+    cancelLoad(fv);
+    var loadId = fv.loadId = fv.loadId + 1;
+    var loaded = jQuery.Deferred();
+    // native promises are used where the browser has them, the jQuery promise is a thenable fallback
+    fv.loaded = window.Promise ? window.Promise.resolve(loaded.promise()) : loaded.promise();
+    fv.cancelLoad = function() {
+        _.each(summaries, function(summary) {
+            if (summary.status === 'pending') {
+                summary.status = 'cancelled';
+            }
+        });
+        loaded.resolve(summaries);
+    };
+    _.each(dataSources, function (source) {
+        var delegate = jQuery.Deferred();
+        delegates.push(delegate);
+        summaries.push(createSourceSummary(source));
+    });
+    fv.sourceSummaries = summaries.slice(0);
+    loadIsoforms(fv, opts);
+
+    if (opts.categoryOrder) {
+        fv.config.setOrderForCategoryNames(opts.categoryOrder);
+    }
+    if (opts.customConfig && !fv.customConfigLoaded) {
+        var configLoader = DataLoader.get(opts.customConfig, 'json', fv.cache);
+        configLoader.done(function(d) {
+            if (loadId !== fv.loadId) {
+                return;
+            }
+            fv.customConfigLoaded = true;
+            fv.config.setCategoryNamesInOrder(d.categories);
+            fv.config.setTrackNames(d.trackNames);
+            loadSources(opts, dataSources, loaders, delegates, fv, loadId, summaries);
+        })
+        .fail(function(e) {
+            if (loadId !== fv.loadId) {
+                return;
+            }
+            d3.select(opts.el).text('The configuration file provided by external sources could not be retrieved');
+            fv.dispatcher.notConfigRetrieved({config: opts.customConfig});
+            _.each(summaries, function(summary) {
+                summary.status = 'failed';
+                summary.error = 'The configuration file could not be retrieved: ' + getErrorMessage(e);
+            });
+            loaded.resolve(summaries);
+        });
+    } else {
+        loadSources(opts, dataSources, loaders, delegates, fv, loadId, summaries);
+    }
+
+    jQuery.when.apply(null, delegates).done(function () {
+        if (loadId !== fv.loadId) {
+            return;
+        }
+        var rejected = _.filter(summaries, function (summary) {
+            return summary.status === 'failed';
+        });
+        var attempted = _.filter(summaries, function (summary) {
+            return summary.status !== 'excluded';
+        });
+        if (fv.container) {
+            fv.container.selectAll('.up_pftv_category-loading').remove();
+        }
+        // a custom sequence is worth displaying even without any source
+        var nothingToLoad = fv.customSequence && (attempted.length === 0);
+        if ((rejected.length === attempted.length) && !nothingToLoad) {
+            // failed sources stay in place so that they can be retried
+            fv.container.insert('div', ':first-child')
+                .attr('class', 'up_pftv_message')
+                .text('Sorry, data could not be retrieved at this time, please try again later.');
+            fv.dispatcher.noDataRetrieved();
+        } else if ((fv.data.length === 0) && (rejected.length === 0) && fv.customSequence) {
+            fv.dispatcher.noDataAvailable();
+        } else if ((fv.data.length === 0) && (rejected.length === 0)) {
+            d3.select(opts.el).selectAll('*').remove();
+            d3.select(opts.el).html('');
+            d3.select(opts.el).text('There are no features available for this protein.');
+            fv.dispatcher.noDataAvailable();
+        } else if (opts.selectedFeature){
+            fv.selectFeature(opts.selectedFeature);
+        }
+        loaded.resolve(summaries);
+    });
+};
+
+// Redrawn categories have new elements, the selection and the highlight are moved onto them
+var refreshSelection = function(fv) {
+    if (fv.selectedFeature) {
+        var elem = fv.globalContainer.select('[name="' + fv.selectedFeature.internalId + '"]');
+        if (!elem.empty()) {
+            fv.selectedFeatureElement = elem.node();
+        }
+    }
+    if (fv.selectedFeature || fv.highlight) {
+        ViewerHelper.updateHighlight(fv);
+    }
+    CategoryFilterDialog.discardDialog(fv);
+};
+
+var addSource = function(fv, opts, source, loadId, summary) {
+    var settled = jQuery.Deferred();
+    var isCurrent = isSourceCurrent(fv, loadId, source);
+    if (!isCurrent()) {
+        summary.status = 'cancelled';
+        return settled.resolve(summary).promise();
+    }
+    if (_.contains(opts.exclusions, source.category)) {
+        summary.status = 'excluded';
+        return settled.resolve(summary).promise();
+    }
+    var container = getCategoryContainer(fv, source.category ? source.category : summary.source);
+    addLoadingPlaceholder(fv, container, source.category ? fv.config.getCategoryInfo(source.category).label
+        : fv.config.getExternalSourceInfo(summary.source).label);
+    if (!fv.sequence && (fv.sequenceLoaded.state() === 'rejected')) {
+        fv.sequenceLoaded = jQuery.Deferred();
+    }
+    var loader = loadSource(fv, opts, source, summary, isCurrent, settled);
+    rejectSequenceIfMissing(fv, [loader]);
+    return settled.then(function() {
+        container.select('.up_pftv_category-loading').remove();
+        if (isCurrent() && (summary.status === 'loaded')) {
+            fv.globalContainer.selectAll('.up_pftv_message').remove();
+            refreshSelection(fv);
+        }
+        return summary;
+    });
+};
+
+// Withdraws the features of a source from the data and from the categories, emptied categories are removed
+var withdrawSource = function(fv, sourceId, sourceName) {
+    fv.data = _.filter(fv.data, function(category) {
+        if (!DataLoader.hasSource(category[1], sourceId)) {
+            return true;
+        }
+        category[1] = DataLoader.withdrawFeatures(category[1], sourceId, sourceName);
+        return DataLoader.countFeatures(category[1]) !== 0;
+    });
+    _.each(fv.categories.slice(0), function(category) {
+        if (category.removeSource(sourceId, sourceName) && category.isEmpty()) {
+            category.categoryContainer.remove();
+            fv.categories = _.without(fv.categories, category);
+        }
+    });
+    var withdrawn = function(feature) {
+        return feature.sourceIds && (feature.sourceIds.length === 0);
+    };
+    // a merged feature is drawn with the element of its first feature
+    var selected = fv.selectedFeature && fv.selectedFeature.mergedFeatures
+        ? fv.selectedFeature.mergedFeatures[0] : fv.selectedFeature;
+    if (selected && withdrawn(selected)) {
+        fv.globalContainer.selectAll('.up_pftv_tooltip-container').remove();
+        ViewerHelper.deselectFeature(fv);
+    }
+};
+
+// Width available to the tracks, undefined while the host element is not displayed
+var measureWidth = function(fv, opts) {
+    var container = fv.globalContainer ? fv.globalContainer.select('.up_pftv_container').node() : null;
+    var hostWidth = container ? container.clientWidth : opts.el ? opts.el.clientWidth : 0;
+    return hostWidth ? Math.max(minWidth, hostWidth - labelWidth) : undefined;
+};
+
+// Redraws every part of the layout for fv.width, the displayed domain stays the same
+var resizeLayout = function(fv) {
+    var domain = fv.xScale.domain();
+    fv.xScale.range([fv.padding.left, fv.width - fv.padding.right]).domain(domain);
+    fv.globalContainer.selectAll('.up_pftv_tooltip-container').remove();
+    fv.viewport.resize();
+    fv.aaViewer.resize();
+    fv.aaViewer2.resize();
+    _.each(fv.categories, function(category) {
+        category.resize();
+    });
+    updateZoomFromChart(fv);
+    updateViewportFromChart(fv);
+    update(fv);
+};
+
+// The host element is followed with a ResizeObserver, or with the window size where there is none
+var observeResize = function(fv, opts) {
+    if (!opts.el) {
+        return;
+    }
+    if (window.ResizeObserver) {
+        fv.resizeObserver = new window.ResizeObserver(function() {
+            fv.resize();
+        });
+        fv.resizeObserver.observe(opts.el);
+    } else {
+        d3.select(window).on('resize.' + fv.resizeId, function() {
+            fv.resize();
+        });
+    }
+};
+
+var unobserveResize = function(fv) {
+    if (fv.resizeObserver) {
+        fv.resizeObserver.disconnect();
+        fv.resizeObserver = undefined;
+    }
+    d3.select(window).on('resize.' + fv.resizeId, null);
+};
+
+// Removes the layout together with the zoom and brush listeners bound to it
+var removeLayout = function(fv, opts) {
+    cancelUpdate(fv);
+    if (fv.zoom) {
+        fv.zoom.on('zoom', null);
+    }
+    if (fv.viewport) {
+        fv.viewport.on('brush', null).on('brushstart', null).on('brushend', null);
+    }
+    if (fv.globalContainer) {
+        fv.globalContainer.selectAll('svg').on('.zoom', null);
+    }
+    d3.select(opts.el).selectAll('*').remove();
+    d3.select(opts.el).html('');
+    fv.globalContainer = undefined;
+    fv.header = undefined;
+    fv.container = undefined;
+    fv.ontheFlyContainer = undefined;
+    fv.footer = undefined;
+    fv.zoom = undefined;
+    fv.viewport = undefined;
+    fv.aaViewer = undefined;
+    fv.aaViewer2 = undefined;
+    fv.xScale = undefined;
+};
+
+var resetViewer = function(fv, opts) {
+    cancelLoad(fv);
+    removeLayout(fv, opts);
+    fv.sequence = "";
+    fv.sequenceLoaded = jQuery.Deferred();
+    fv.data = [];
+    fv.categories = [];
+    fv.selectedFeature = undefined;
+    fv.selectedFeatureElement = undefined;
+    fv.highlight = undefined;
+    fv.internalIds = undefined;
+    // dialogs are bound to the previous layout and will be created again on demand
+    fv.downloadDialog = undefined;
+    fv.highlightRegionDialog = undefined;
+    fv.categoryFilterDialog = undefined;
 };
 
 var FeaturesViewer = function(opts) {
     var fv = this;
-    fv.dispatcher = d3.dispatch("featureSelected", "featureDeselected", "ready", "noDataAvailable", "noDataRetrieved",
-        "notFound", "notConfigRetrieved", "regionHighlighted");
+    fv.dispatcher = d3.dispatch.apply(null, dispatcherEvents);
 
+    // width of the tracks, following the host element
     fv.width = 760;
+    fv.resizeId = 'up_pftv_' + (viewerCount++);
     fv.maxZoomSize = 30;
     fv.selectedFeature = undefined;
     fv.selectedFeatureElement = undefined;
     fv.sequence = "";
+    fv.sequenceLoaded = jQuery.Deferred();
     fv.categories = [];
     fv.filterCategories = [];
+    fv.hiddenCategories = [];
+    fv.loadId = 0;
     fv.padding = {top:2, right:10, bottom:2, left:10};
     fv.data = [];
     fv.uniprotacc = opts.uniprotacc;
+    // without an accession the sequence given in opts.sequence is displayed, opts.sequenceName is used in downloads
+    fv.customSequence = !opts.uniprotacc && opts.sequence
+        ? {sequence: opts.sequence.replace(/\s/g, '').toUpperCase(),
+            name: opts.sequenceName ? opts.sequenceName : 'sequence'}
+        : undefined;
     fv.overwritePredictions = opts.overwritePredictions;
-    fv.defaultSource = opts.defaultSources !== undefined ? opts.defaultSources : true;
+    fv.defaultSource = fv.customSequence ? false
+        : opts.defaultSources !== undefined ? opts.defaultSources : true;
+    fv.config = Constants.createViewerConfig();
+    fv.cache = opts.cache ? new DataCache(opts.cache === true ? {} : opts.cache) : undefined;
+    // the same feature from several sources is drawn once, opts.mergeRules tells which features are the same
+    fv.mergeFeatures = opts.mergeFeatures !== false;
+    fv.mergeRules = opts.mergeRules;
+    // how overlapping features are packed into rows: 'firstFit' (default), 'longestFirst' or 'stable', the latter
+    // keeping features in their rows when sources are added, removed or merged
+    fv.packing = opts.packing;
+    // rows shown per track before the others collapse into a "show N more" row, without it rows shrink to fit
+    fv.maxRows = opts.maxRows;
+    // variants are drawn as SVG circles, or on a canvas with 'canvas', which keeps zooming smooth with many of them
+    fv.variantRenderer = opts.variantRenderer === 'canvas' ? 'canvas' : 'svg';
+    // variation sources are parsed and processed in a worker, as are inline or other variant payloads from this size
+    // on. false keeps them on the page
+    fv.workerThreshold = opts.workerThreshold !== undefined ? opts.workerThreshold : 5000;
+    initSources(fv, opts);
 
     fv.load = function() {
-        initSources(opts);
-        var dataSources = Constants.getDataSources();
-        var loaders = [], delegates = [];
-        _.each(dataSources, function () {
-            var delegate = jQuery.Deferred();
-            delegates.push(delegate);
+        fv.dataSources = fv.config.getDataSources().concat(getInlineSources(opts.data));
+        loadDataSources(fv, opts, fv.dataSources);
+    };
+
+    fv.setData = function(data) {
+        opts.data = data;
+        resetViewer(fv, opts);
+        fv.dataSources = getInlineSources(data);
+        loadDataSources(fv, opts, fv.dataSources);
+    };
+
+    // Displays another protein in place. Sources, category order, hidden categories and variant filters are kept,
+    // while inline data and the selected feature belong to the previous protein and are dropped. Isoforms of the
+    // displayed entry can be given too, features are then projected from the canonical ones when a source has none.
+    // A viewer showing a custom sequence gets back the UniProt sources that opts allow.
+    fv.setAccession = function(accession) {
+        if (fv.customSequence) {
+            // UniProt sources were left out for the custom sequence
+            fv.customSequence = undefined;
+            fv.defaultSource = opts.defaultSources !== undefined ? opts.defaultSources : true;
+            fv.variantFilters = undefined;
+            fv.config.setDataSources(Constants.getDataSources(), Constants.getExternalDataSources());
+            initSources(fv, opts);
+        }
+        _.each(fv.config.getDataSources().slice(0), function(source) {
+            if (source.data) {
+                fv.config.removeSource(source);
+            }
         });
+        opts.uniprotacc = accession;
+        opts.data = undefined;
+        opts.selectedFeature = undefined;
+        fv.uniprotacc = accession;
+        resetViewer(fv, opts);
+        fv.load();
+    };
 
-        if (opts.categoryOrder) {
-            Constants.setOrderForCategoryNames(opts.categoryOrder);
+    // Loads one more source, given as for customDataSources, into the displayed protein. Zoom, selection and filters
+    // are kept. It is loaded once the current load is over; the returned promise resolves with its summary.
+    fv.addSource = function(source) {
+        var id = getSourceId(source);
+        if (_.find(fv.dataSources, function(loaded) {
+            return getSourceId(loaded) === id;
+        })) {
+            throw new Error('A source with id ' + id + ' is already displayed');
         }
-        if (opts.customConfig) {
-            var configLoader = DataLoader.get(opts.customConfig);
-            configLoader.done(function(d) {
-                Constants.setCategoryNamesInOrder(d.categories);
-                Constants.setTrackNames(d.trackNames);
-                loadSources(opts, dataSources, loaders, delegates, fv);
-            })
-            .fail(function(e) {
-                d3.select(opts.el).text('The configuration file provided by external sources could not be retrieved');
-                fv.dispatcher.notConfigRetrieved({config: opts.customConfig});
-                console.log(e);
-            });
-        } else {
-            loadSources(opts, dataSources, loaders, delegates, fv);
+        var loadId = fv.loadId;
+        var summary = createSourceSummary(source);
+        fv.config.addSource(source);
+        fv.dataSources.push(source);
+        fv.sourceSummaries.push(summary);
+        updateMergeToggle(fv);
+        return fv.loaded.then(function() {
+            return addSource(fv, opts, source, loadId, summary);
+        });
+    };
+
+    // Draws the features reported by several sources once or once per source. Zoom and selection are kept.
+    fv.setFeatureMerging = function(merged) {
+        fv.mergeFeatures = merged;
+        _.each(fv.categories, function(category) {
+            category.remerge();
+        });
+        if (fv.footer) {
+            fv.footer.select('.up_pftv_merge-toggle input').property('checked', merged);
+        }
+        if (fv.container) {
+            refreshSelection(fv);
         }
+    };
 
-        jQuery.when.apply(null, delegates).done(function () {
-            var rejected = _.filter(loaders, function (loader) {
-                return loader.state() === 'rejected';
+    // Withdraws every feature and variant of the sources with this id, features also provided by other sources stay.
+    // Returns false when no such source is displayed.
+    fv.removeSource = function(id) {
+        var removed = _.filter(fv.dataSources, function(source) {
+            return getSourceId(source) === id;
+        });
+        _.each(removed, function(source) {
+            var index = _.indexOf(fv.dataSources, source);
+            var summary = fv.sourceSummaries[index];
+            fv.dataSources.splice(index, 1);
+            fv.sourceSummaries.splice(index, 1);
+            fv.config.removeSource(source);
+            if (summary.status === 'pending') {
+                summary.status = 'cancelled';
+            }
+            if (fv.container) {
+                var container = getCategoryContainer(fv, source.category ? source.category : summary.source);
+                container.selectAll('.up_pftv_category-loading, .up_pftv_category-failed').remove();
+            }
+            // data merged under the source name belongs to it only when no other source has that name
+            var sourceName = getSourceName(source);
+            var nameInUse = _.some(fv.dataSources, function(other) {
+                return getSourceName(other) === sourceName;
             });
-            if ((rejected.length === loaders.length) || (fv.data.length === 0)) {
-                d3.select(opts.el).selectAll('*').remove();
-                d3.select(opts.el).html('');
-                if (rejected.length === loaders.length) {
-                    d3.select(opts.el).text('Sorry, data could not be retrieved at this time, please try again later.');
-                    fv.dispatcher.noDataRetrieved();
-                } else if (fv.data.length === 0) {
-                    d3.select(opts.el).text('There are no features available for this protein.');
-                    fv.dispatcher.noDataAvailable();
-                }
-            } else if (opts.selectedFeature){
-                fv.selectFeature(opts.selectedFeature);
+            if (fv.container) {
+                withdrawSource(fv, id, nameInUse ? undefined : sourceName);
+                refreshSelection(fv);
+            }
+            if (!nameInUse) {
+                VariantFilterDialog.removeSourceFilter(fv, sourceName);
             }
         });
+        updateMergeToggle(fv);
+        return removed.length !== 0;
+    };
+
+    // Lays the viewer out again for the width of its host element. It is done on its own when the host is resized,
+    // calling it is needed only where neither ResizeObserver nor a window resize tells about it. Zoom, selection and
+    // highlight are kept. Returns whether the width changed.
+    fv.resize = function() {
+        var width = measureWidth(fv, opts);
+        if (!width || (width === fv.width)) {
+            return false;
+        }
+        fv.width = width;
+        if (fv.xScale) {
+            resizeLayout(fv);
+        }
+        return true;
     };
 
+    // Removes everything the viewer created in the page as well as any listener registered on its dispatcher.
+    // The instance cannot be used afterwards.
+    fv.destroy = function() {
+        fv.loadId++;
+        unobserveResize(fv);
+        resetViewer(fv, opts);
+        // a new dispatcher drops the listeners of every event and namespace
+        fv.dispatcher = d3.dispatch.apply(null, dispatcherEvents);
+        fv.config = undefined;
+        fv.cache = undefined;
+        fv.sourceSummaries = undefined;
+        fv.dataSources = undefined;
+        fv.variantFilters = undefined;
+        fv.isoforms = undefined;
+        fv.isoformsLoaded = undefined;
+        fv.hiddenCategories = [];
+        fv.filterCategories = [];
+    };
+
+    observeResize(fv, opts);
     fv.load();
 };
 
@@ -548,6 +1495,29 @@ FeaturesViewer.prototype.updateFeatureHighlightSelector = function(begin, end) {
     this.aaViewer2.updateFeatureHighlightSelector(begin, end);
 };
 
+// SVG elements of a category, its viewer followed by its tracks, drawn as SVG whatever the renderer
+FeaturesViewer.prototype.exportSVG = function(categoryName) {
+    var category = _.findWhere(this.categories, {name: categoryName});
+    return category ? category.exportSVG() : [];
+};
+
+// Drops every response kept by the cache, including the ones stored in the browser
+FeaturesViewer.prototype.clearCache = function() {
+    if (this.cache) {
+        this.cache.clear();
+    }
+};
+
+// Features rejected, corrected or accepted with warnings for each source of the current load
+FeaturesViewer.prototype.getDiagnostics = function() {
+    return _.chain(this.sourceSummaries)
+        .filter(function(summary) {
+            return summary.issues && (summary.issues.length !== 0);
+        })
+        .map(getSourceDiagnostics)
+        .value();
+};
+
 FeaturesViewer.prototype.getDispatcher = function() {
     return this.dispatcher;
 };
@@ -573,6 +1543,9 @@ FeaturesViewer.prototype.selectFeature = function(selection) {
         fv.dispatcher.notFound(selection);
         return undefined;
     }
+    if (category) {
+        category.reveal(feature);
+    }
 
     var elem = fv.globalContainer.select('[name="' + feature.internalId + '"]');
     if (category && feature && elem && !elem.classed('up_pftv_variant_hidden')) {
@@ -635,6 +1608,9 @@ FeaturesViewer.prototype.initLayout = function(opts, d) {
             closeTooltipAndPopup(fv);
         });
 
+    var width = measureWidth(fv, opts);
+    fv.width = width ? width : fv.width;
+
     fv.header = fvContainer.append('div');
 
     fv.container = fvContainer
@@ -643,8 +1619,11 @@ FeaturesViewer.prototype.initLayout = function(opts, d) {
 
     fv.ontheFlyContainer = fv.container.append('div').classed('up_pftv_category_on_the_fly', true);
 
-    _.each(Constants.getCategoryNamesInOrder(), function(catInfo) {
-        fv.container.append('div').classed('up_pftv_category_' + catInfo.name, true);
+    _.each(fv.config.getCategoryNamesInOrder(), function(catInfo) {
+        var container = fv.container.append('div').classed('up_pftv_category_' + catInfo.name, true);
+        if (!_.contains(opts.exclusions, catInfo.name)) {
+            addLoadingPlaceholder(fv, container, catInfo.label);
+        }
     });
 
     fv.footer = fvContainer.append('div').attr('class','bottom-aa-container');
@@ -655,6 +1634,7 @@ FeaturesViewer.prototype.loadZoom = function(d) {
   fv.sequence = d.sequence;
   fv.accession = d.accession;
   fv.maxPos = d.sequence.length;
+  fv.sequenceLoaded.resolve(d.sequence);
 
   fv.xScale = d3.scale.linear()
       .domain([1, d.sequence.length + 1])
@@ -662,10 +1642,12 @@ FeaturesViewer.prototype.loadZoom = function(d) {
 
   fv.viewport = createNavRuler(fv, fv.header);
   createButtons(fv, d, fv.header);
+  createIsoformSelector(fv);
   fv.aaViewer = createAAViewer(fv, fv.header, d.sequence);
   fv.zoom = createZoom(fv);
 
   createCreditButtons(fv, d, fv.footer);
+  updateMergeToggle(fv);
   fv.aaViewer2 = createAAViewer(fv, fv.footer, d.sequence);
 
   updateViewportFromChart(fv);
@@ -678,12 +1660,13 @@ FeaturesViewer.prototype.drawCategories = function(data, fv) {
         return cat.name === category[0];
     });
     if (!found) {
-        var catInfo = Constants.getCategoryInfo(category[0]);
-        var container = fv.container.select('.up_pftv_category_' + category[0]);
-        if (!container[0][0]) {
-            container = fv.ontheFlyContainer.append('div').classed('up_pftv_category_' + category[0], true);
-        }
+        var catInfo = fv.config.getCategoryInfo(category[0]);
+        var container = getCategoryContainer(fv, category[0]);
+        container.select('.up_pftv_category-loading').remove();
         var cat = CategoryFactory.createCategory(category[0], category[1], catInfo, fv, container);
+        if (_.contains(fv.hiddenCategories, category[0])) {
+            cat.categoryContainer.style('display', 'none');
+        }
         fv.categories.push(cat);
     } else {
         found.repaint(category[1]);
@@ -691,4 +1674,6 @@ FeaturesViewer.prototype.drawCategories = function(data, fv) {
   });
 };
 
+FeaturesViewer.SourceAdapters = SourceAdapters;
+
 module.exports = FeaturesViewer;
@@ -0,0 +1,145 @@
+/*jslint node: true */
+/*jshint laxbreak: true */
+"use strict";
+
+var _ = require('underscore');
+var Constants = require('./Constants');
+var Evidence = require('./Evidence');
+
+var defaultCategory = 'DOMAINS_AND_SITES';
+
+var decode = function(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+};
+
+var parseAttributes = function(column) {
+    var attributes = {};
+    _.each(column.split(';'), function(pair) {
+        var index = pair.indexOf('=');
+        if (index > 0) {
+            attributes[pair.substring(0, index).trim()] = _.map(pair.substring(index + 1).split(','), decode);
+        }
+    });
+    return attributes;
+};
+
+// UniProt style evidence attribute, e.g. ECO:0000269|PubMed:12665801
+var parseEvidences = function(values) {
+    return _.map(values, function(value) {
+        var parts = value.split('|');
+        var evidence = {code: parts[0].trim()};
+        if (parts[1]) {
+            var index = parts[1].indexOf(':');
+            evidence.source = index === -1
+                ? {name: parts[1].trim()}
+                : Evidence.createSource(parts[1].substring(0, index).trim(), parts[1].substring(index + 1).trim());
+        }
+        return evidence;
+    });
+};
+
+var parseXrefs = function(values) {
+    return _.map(values, function(value) {
+        var index = value.indexOf(':');
+        return index === -1 ? {name: value} : Evidence.createSource(value.substring(0, index), value.substring(index + 1));
+    });
+};
+
+var getAttribute = function(attributes, name) {
+    var key = _.find(_.keys(attributes), function(attribute) {
+        return attribute.toLowerCase() === name.toLowerCase();
+    });
+    return key ? attributes[key] : undefined;
+};
+
+var matchesSequenceId = function(seqId, accession) {
+    return !accession || (seqId === accession) || _.contains(seqId.split('|'), accession);
+};
+
+var parseFeature = function(columns, source, config) {
+    var attributes = parseAttributes(columns[8] ? columns[8] : '');
+    var type = config.getTrackType(columns[2]);
+    var category = getAttribute(attributes, 'category');
+    var feature = {
+        type: type,
+        category: category ? category[0].toUpperCase()
+            : source.defaultCategory ? source.defaultCategory
+            : Constants.getCategoryForType(type) ? Constants.getCategoryForType(type)
+            : defaultCategory,
+        begin: +columns[3],
+        end: +columns[4]
+    };
+    var note = getAttribute(attributes, 'Note');
+    feature.description = note ? note.join(', ') : '';
+    var id = getAttribute(attributes, 'ID');
+    if (id) {
+        feature.ftId = id[0];
+    }
+    var evidences = getAttribute(attributes, 'evidence');
+    if (evidences) {
+        feature.evidences = parseEvidences(evidences);
+    }
+    var xrefs = getAttribute(attributes, 'Dbxref');
+    if (xrefs) {
+        feature.xrefs = parseXrefs(xrefs);
+    }
+    var color = getAttribute(attributes, 'color');
+    if (color) {
+        feature.color = color[0];
+    }
+    return feature;
+};
+
+var Gff3Adapter = function() {
+    return {
+        dataType: 'text',
+        parse: function(raw, source, context) {
+            source = source ? source : {};
+            context = context ? context : {};
+            var config = context.config ? context.config : Constants;
+            var accession = source.seqid ? source.seqid : context.accession;
+            var payload = {accession: accession, features: []};
+            var lines = raw.split(/\r?\n/);
+            var fasta = _.indexOf(lines, _.find(lines, function(line) {
+                return line.indexOf('##FASTA') === 0;
+            }));
+            _.each(fasta === -1 ? lines : lines.slice(0, fasta), function(line) {
+                if ((line.trim().length === 0) || (line.charAt(0) === '#')) {
+                    return;
+                }
+                var columns = line.split('\t');
+                if (columns.length < 9) {
+                    columns = line.trim().split(/\s+/);
+                    columns = columns.length > 9 ? columns.slice(0, 8).concat(columns.slice(8).join(' ')) : columns;
+                }
+                if ((columns.length >= 8) && matchesSequenceId(columns[0], accession)) {
+                    payload.features.push(parseFeature(columns, source, config));
+                }
+            });
+            if (fasta !== -1) {
+                var sequences = {}, current;
+                _.each(lines.slice(fasta + 1), function(line) {
+                    if (line.charAt(0) === '>') {
+                        current = line.substring(1).trim().split(/\s+/)[0];
+                        sequences[current] = '';
+                    } else if (current) {
+                        sequences[current] += line.trim();
+                    }
+                });
+                var seqId = _.find(_.keys(sequences), function(id) {
+                    return matchesSequenceId(id, accession);
+                });
+                if (seqId) {
+                    payload.sequence = sequences[seqId];
+                }
+            }
+            return payload;
+        }
+    };
+}();
+
+module.exports = Gff3Adapter;
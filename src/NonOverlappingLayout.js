@@ -4,81 +4,378 @@
 
 var _ = require('underscore');
 
+var getBegin = function(feature) {
+    return Number(feature.begin);
+};
+
+var getEnd = function(feature) {
+    return feature.end ? Number(feature.end) : Number(feature.begin);
+};
+
+// Features of a row never overlap, so sorted by begin they are sorted by end as well and a binary search finds where
+// an interval would go
 var Row = function() {
     var row = this;
     row.rowFeatures = [];
+    row.begins = [];
+    row.ends = [];
+};
 
-    row.featureOverlap = function(feature, d, ftEnd, dEnd) {
-        var featureBeginOverlap = (Number(feature.begin) >= Number(d.begin)) &&
-            (Number(feature.begin) <= Number(dEnd));
-        var featureEndOverlap = (Number(ftEnd) >= Number(d.begin)) && (Number(ftEnd) <= Number(dEnd));
-        return featureBeginOverlap || featureEndOverlap;
-    };
+// Index of the first feature ending at or after position
+Row.prototype.search = function(position) {
+    var ends = this.ends, low = 0, high = ends.length;
+    while (low < high) {
+        var middle = Math.floor((low + high) / 2);
+        if (ends[middle] < position) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+};
 
-    row.dOverlap = function(feature, d, ftEnd, dEnd) {
-        var dBeginOverlap = (Number(d.begin) >= Number(feature.begin)) && (Number(d.begin) <= Number(ftEnd));
-        var dEndOverlap = (Number(dEnd) >= Number(feature.begin)) && (Number(dEnd) <= Number(ftEnd));
-        return dBeginOverlap || dEndOverlap;
-    };
+// Features are added by begin, so rows only grow at their end
+Row.prototype.addFeature = function(feature) {
+    var row = this;
+    row.rowFeatures.push(feature);
+    row.begins.push(getBegin(feature));
+    row.ends.push(getEnd(feature));
+};
 
-    row.containsOverlap = function(feature) {
-        return _.some(row.rowFeatures, function(d) {
-            var ftEnd = (feature.end) ? feature.end : feature.begin;
-            var dEnd = (d.end) ? d.end : d.begin;
-            return row.featureOverlap(feature, d, ftEnd, dEnd) || row.dOverlap(feature, d, ftEnd, dEnd);
-        });
-    };
+// Binary heap of row indexes ordered by the given key
+var Heap = function(key) {
+    this.items = [];
+    this.key = key;
+};
+
+Heap.prototype.size = function() {
+    return this.items.length;
+};
+
+Heap.prototype.peek = function() {
+    return this.items[0];
+};
 
-    row.addFeature = function(feature) {
-        row.rowFeatures.push(feature);
+Heap.prototype.push = function(item) {
+    var heap = this, items = heap.items;
+    var index = items.push(item) - 1;
+    while (index > 0) {
+        var parent = Math.floor((index - 1) / 2);
+        if (heap.key(items[parent]) <= heap.key(items[index])) {
+            break;
+        }
+        items[index] = items[parent];
+        items[parent] = item;
+        index = parent;
+    }
+};
+
+Heap.prototype.pop = function() {
+    var heap = this, items = heap.items;
+    var top = items[0], last = items.pop();
+    if (items.length !== 0) {
+        items[0] = last;
+        var index = 0;
+        for (;;) {
+            var smallest = index, left = 2 * index + 1, right = left + 1;
+            if ((left < items.length) && (heap.key(items[left]) < heap.key(items[smallest]))) {
+                smallest = left;
+            }
+            if ((right < items.length) && (heap.key(items[right]) < heap.key(items[smallest]))) {
+                smallest = right;
+            }
+            if (smallest === index) {
+                break;
+            }
+            items[index] = items[smallest];
+            items[smallest] = last;
+            index = smallest;
+        }
+    }
+    return top;
+};
+
+// Segment tree holding a value per row, which finds the lowest row whose value is above a bound in O(log n)
+var RowTree = function(size) {
+    var tree = this;
+    tree.size = 1;
+    while (tree.size < size) {
+        tree.size *= 2;
+    }
+    tree.values = [];
+    for (var i = 0; i < 2 * tree.size; i++) {
+        tree.values.push(-Infinity);
+    }
+};
+
+RowTree.prototype.set = function(index, value) {
+    var values = this.values;
+    var node = this.size + index;
+    values[node] = value;
+    for (node = Math.floor(node / 2); node >= 1; node = Math.floor(node / 2)) {
+        values[node] = Math.max(values[2 * node], values[2 * node + 1]);
+    }
+};
+
+// -1 when no row is above bound
+RowTree.prototype.findFirstAbove = function(bound) {
+    var tree = this, values = tree.values;
+    if (values[1] <= bound) {
+        return -1;
+    }
+    var node = 1;
+    while (node < tree.size) {
+        node = values[2 * node] > bound ? 2 * node : 2 * node + 1;
+    }
+    return node - tree.size;
+};
+
+var getRow = function(layout, index) {
+    while (layout.rows.length <= index) {
+        layout.rows.push(new Row());
+    }
+    return layout.rows[index];
+};
+
+// Features taken by begin go to the lowest row free at that position, rows being freed as the sweep goes past their
+// last feature. Each feature costs O(log n).
+var packFirstFit = function(layout, features) {
+    var rowEnds = [];
+    var busy = new Heap(function(index) {
+        return rowEnds[index];
+    });
+    var free = new Heap(_.identity);
+    _.each(_.sortBy(features, getBegin), function(feature) {
+        while ((busy.size() !== 0) && (rowEnds[busy.peek()] < getBegin(feature))) {
+            free.push(busy.pop());
+        }
+        var index = free.size() !== 0 ? free.pop() : rowEnds.length;
+        rowEnds[index] = getEnd(feature);
+        getRow(layout, index).addFeature(feature);
+        busy.push(index);
+    });
+};
+
+// Rows are packed as with firstFit, then ordered by their longest feature so that longer features end up in the
+// upper rows
+var packLongestFirst = function(layout, features) {
+    packFirstFit(layout, features);
+    layout.rows = _.sortBy(layout.rows, function(row) {
+        return -_.max(_.map(row.rowFeatures, function(feature, index) {
+            return row.ends[index] - row.begins[index];
+        }));
+    });
+};
+
+// Features keep the row they had in the previous layout where they still fit, the others go to the lowest row free
+// from their begin to their end. The sweep is the one of firstFit, with the value of a free row in the tree being the
+// begin of the next feature kept in it and busy rows having none.
+var packStable = function(layout, features, previous) {
+    var kept = [], others = [];
+    _.each(features, function(feature) {
+        var index = previous ? previous.getRowIndex(feature) : undefined;
+        if (index !== undefined) {
+            kept.push({feature: feature, index: index});
+        } else {
+            others.push({feature: feature});
+        }
+    });
+    // a kept feature overlapping the one before it in its row is placed again
+    var keptRows = [];
+    kept = _.filter(_.sortBy(kept, function(item) {
+        return getBegin(item.feature);
+    }), function(item) {
+        var row = keptRows[item.index] = keptRows[item.index] ? keptRows[item.index] : [];
+        if ((row.length !== 0) && (getEnd(_.last(row)) >= getBegin(item.feature))) {
+            others.push({feature: item.feature});
+            return false;
+        }
+        row.push(item.feature);
+        return true;
+    });
+
+    var rowCount = keptRows.length, next = [], rowEnds = [];
+    var tree = new RowTree(rowCount + others.length);
+    var nextBegin = function(index) {
+        var row = keptRows[index];
+        return row && (next[index] < row.length) ? getBegin(row[next[index]]) : Infinity;
     };
+    for (var i = 0; i < rowCount; i++) {
+        next[i] = 0;
+        tree.set(i, nextBegin(i));
+    }
+    var busy = new Heap(function(index) {
+        return rowEnds[index];
+    });
+    // the sort is stable, so kept features come first at the same begin
+    _.each(_.sortBy(kept.concat(others), function(item) {
+        return getBegin(item.feature);
+    }), function(item) {
+        var begin = getBegin(item.feature), end = getEnd(item.feature);
+        while ((busy.size() !== 0) && (rowEnds[busy.peek()] < begin)) {
+            var freed = busy.pop();
+            tree.set(freed, nextBegin(freed));
+        }
+        var index = item.index;
+        if (index !== undefined) {
+            next[index]++;
+        } else {
+            index = tree.findFirstAbove(end);
+            index = index !== -1 ? index : rowCount++;
+        }
+        tree.set(index, -Infinity);
+        rowEnds[index] = end;
+        getRow(layout, index).addFeature(item.feature);
+        busy.push(index);
+    });
+    while ((layout.rows.length !== 0) && (_.last(layout.rows).rowFeatures.length === 0)) {
+        layout.rows.pop();
+    }
+};
+
+var strategies = {
+    firstFit: packFirstFit,
+    longestFirst: packLongestFirst,
+    stable: packStable
 };
 
-var NonOverlappingLayout = function(features, totalHeight) {
+// Assigns features to rows so that no two features of a row overlap. options.strategy is 'firstFit' (default),
+// 'longestFirst' or 'stable', the latter keeping the rows of options.previous, the layout of the same track before
+// its features changed. Beyond options.maxRows rows, rows keep their natural height and the ones after maxRows are
+// hidden behind an overflow row until the layout is expanded.
+var NonOverlappingLayout = function(features, totalHeight, options) {
     var nonOverlappingLayout = this;
+    options = options ? options : {};
     nonOverlappingLayout.padding = 1;
     nonOverlappingLayout.minHeight = 15;
     nonOverlappingLayout.rowHeight = 0;
+    nonOverlappingLayout.yOffset = 0;
+    nonOverlappingLayout.maxRows = options.maxRows;
+    nonOverlappingLayout.expanded = !!options.expanded;
     nonOverlappingLayout.rows = [];
+    nonOverlappingLayout.rowIndexes = {};
+    nonOverlappingLayout.yPositions = {};
 
     nonOverlappingLayout.totalHeight = totalHeight;
 
+    var strategy = strategies[options.strategy] ? strategies[options.strategy] : packFirstFit;
+    strategy(nonOverlappingLayout, features, options.previous);
+
+    _.each(nonOverlappingLayout.rows, function(row, index) {
+        _.each(row.rowFeatures, function(feature) {
+            if (feature.internalId !== undefined) {
+                nonOverlappingLayout.rowIndexes[feature.internalId] = index;
+            }
+        });
+    });
+
     nonOverlappingLayout.calculate = function(){
+        nonOverlappingLayout.yPositions = {};
+        if (nonOverlappingLayout.hasOverflow()) {
+            nonOverlappingLayout.rowHeight = nonOverlappingLayout.minHeight - 2 * nonOverlappingLayout.padding;
+            nonOverlappingLayout.yOffset = 0;
+            return;
+        }
         nonOverlappingLayout.rowHeight = (
             (nonOverlappingLayout.totalHeight / nonOverlappingLayout.rows.length < nonOverlappingLayout.minHeight)
             ? nonOverlappingLayout.totalHeight /nonOverlappingLayout.rows.length : nonOverlappingLayout.minHeight )
             - 2 * nonOverlappingLayout.padding;
+        nonOverlappingLayout.yOffset =
+            (nonOverlappingLayout.totalHeight /nonOverlappingLayout.rows.length > nonOverlappingLayout.minHeight)
+            ? (nonOverlappingLayout.totalHeight - (nonOverlappingLayout.rows.length * nonOverlappingLayout.minHeight))/2
+            : 0;
     };
+};
 
-    _.each(features, function(feature){
-        var added = _.some(nonOverlappingLayout.rows, function(row){
-            if(!row.containsOverlap(feature)) {
-                row.addFeature(feature);
-                return true;
-            }
-        });
-        if(!added) {
-            var row = new Row();
-            row.addFeature(feature);
-            nonOverlappingLayout.rows.push(row);
+NonOverlappingLayout.prototype.hasOverflow = function() {
+    var nonOverlappingLayout = this;
+    return !!nonOverlappingLayout.maxRows && (nonOverlappingLayout.rows.length > nonOverlappingLayout.maxRows);
+};
+
+NonOverlappingLayout.prototype.setExpanded = function(expanded) {
+    this.expanded = expanded;
+    this.calculate();
+};
+
+NonOverlappingLayout.prototype.getVisibleRowCount = function() {
+    var nonOverlappingLayout = this;
+    return nonOverlappingLayout.hasOverflow() && !nonOverlappingLayout.expanded ? nonOverlappingLayout.maxRows
+        : nonOverlappingLayout.rows.length;
+};
+
+NonOverlappingLayout.prototype.isVisible = function(feature) {
+    var index = this.getRowIndex(feature);
+    return (index !== undefined) && (index < this.getVisibleRowCount());
+};
+
+// Rows and features hidden behind the overflow row, together with the position of that row. Undefined without
+// overflow.
+NonOverlappingLayout.prototype.getOverflow = function() {
+    var nonOverlappingLayout = this;
+    if (!nonOverlappingLayout.hasOverflow()) {
+        return undefined;
+    }
+    var hiddenRows = nonOverlappingLayout.rows.slice(nonOverlappingLayout.maxRows);
+    return {
+        rows: hiddenRows.length,
+        features: _.reduce(hiddenRows, function(count, row) {
+            return count + row.rowFeatures.length;
+        }, 0),
+        y: nonOverlappingLayout.getVisibleRowCount() * nonOverlappingLayout.minHeight,
+        height: nonOverlappingLayout.minHeight
+    };
+};
+
+// Height needed to draw the visible rows and the overflow row
+NonOverlappingLayout.prototype.getHeight = function() {
+    var nonOverlappingLayout = this;
+    return nonOverlappingLayout.hasOverflow()
+        ? Math.max(nonOverlappingLayout.totalHeight,
+            (nonOverlappingLayout.getVisibleRowCount() + 1) * nonOverlappingLayout.minHeight)
+        : nonOverlappingLayout.totalHeight;
+};
+
+// Features of the visible rows that overlap a range. Rows are sorted, so each costs a binary search and the features
+// found.
+NonOverlappingLayout.prototype.getFeaturesIn = function(begin, end) {
+    var nonOverlappingLayout = this, features = [];
+    _.each(nonOverlappingLayout.rows.slice(0, nonOverlappingLayout.getVisibleRowCount()), function(row) {
+        for (var i = row.search(begin); (i < row.begins.length) && (row.begins[i] <= end); i++) {
+            features.push(row.rowFeatures[i]);
         }
     });
+    return features;
 };
 
-NonOverlappingLayout.prototype.getYPos = function(feature) {
+// Features are found by internalId, those without one are looked for row by row
+NonOverlappingLayout.prototype.getRowIndex = function(feature) {
     var nonOverlappingLayout = this;
-    var yPos,
-        yOffset = (nonOverlappingLayout.totalHeight /nonOverlappingLayout.rows.length > nonOverlappingLayout.minHeight)
-            ? (nonOverlappingLayout.totalHeight - (nonOverlappingLayout.rows.length * nonOverlappingLayout.minHeight))/2
-            : 0;
-    _.each(nonOverlappingLayout.rows, function(row, i) {
-        _.each(row.rowFeatures, function(currFeature){
-            if(currFeature === feature) {
-                yPos = (i * (nonOverlappingLayout.rowHeight + 2 * nonOverlappingLayout.padding)
-                + yOffset);
-            }
-        });
+    if (feature.internalId !== undefined) {
+        return nonOverlappingLayout.rowIndexes[feature.internalId];
+    }
+    var index;
+    _.find(nonOverlappingLayout.rows, function(row, i) {
+        if (_.contains(row.rowFeatures, feature)) {
+            index = i;
+            return true;
+        }
     });
+    return index;
+};
+
+NonOverlappingLayout.prototype.getYPos = function(feature) {
+    var nonOverlappingLayout = this;
+    var yPos = feature.internalId !== undefined ? nonOverlappingLayout.yPositions[feature.internalId] : undefined;
+    if (yPos === undefined) {
+        var index = nonOverlappingLayout.getRowIndex(feature);
+        yPos = index === undefined ? undefined
+            : (index * (nonOverlappingLayout.rowHeight + 2 * nonOverlappingLayout.padding))
+                + nonOverlappingLayout.yOffset;
+        if ((yPos !== undefined) && (feature.internalId !== undefined)) {
+            nonOverlappingLayout.yPositions[feature.internalId] = yPos;
+        }
+    }
     return yPos;
 };
 
@@ -90,4 +387,4 @@ NonOverlappingLayout.prototype.getFeatureHeight = function() {
     return this.rowHeight;
 };
 
-module.exports = NonOverlappingLayout;
\ No newline at end of file
+module.exports = NonOverlappingLayout;
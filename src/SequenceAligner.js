@@ -0,0 +1,184 @@
+/*jslint node: true */
+/*jshint laxbreak: true */
+"use strict";
+
+var _ = require('underscore');
+
+var scores = {match: 1, mismatch: -1, gap: -1};
+// larger alignments would keep too much memory for the traceback, they are split in two until they fit
+var maxCells = 4000000;
+var DIAGONAL = 0, UP = 1, LEFT = 2;
+
+// Residue to residue correspondence between two sequences. positions[i] is the position in the target sequence of
+// the residue i in the source sequence, 0 when it is aligned to a gap. Positions are 1-based.
+var Alignment = function(from, to, positions) {
+    var alignment = this;
+    alignment.from = from;
+    alignment.to = to;
+    alignment.positions = positions;
+};
+
+Alignment.prototype.mapPosition = function(position) {
+    var mapped = this.positions[+position];
+    return mapped ? mapped : undefined;
+};
+
+// Maps a range on the source sequence, changed tells whether any residue in it was substituted or is missing.
+// Ends aligned to a gap are moved inwards to the closest aligned residue, the range cannot be mapped when none is.
+Alignment.prototype.mapRange = function(begin, end) {
+    var alignment = this;
+    begin = +begin;
+    end = end ? +end : begin;
+    var first = begin, last = end;
+    while ((first <= end) && !alignment.mapPosition(first)) {
+        first++;
+    }
+    while ((last >= first) && !alignment.mapPosition(last)) {
+        last--;
+    }
+    if (first > last) {
+        return undefined;
+    }
+    var mappedBegin = alignment.mapPosition(first), mappedEnd = alignment.mapPosition(last);
+    var changed = (mappedEnd - mappedBegin) !== (end - begin);
+    for (var position = begin; !changed && (position <= end); position++) {
+        var mapped = alignment.positions[position];
+        changed = !mapped
+            || (alignment.from.charAt(position - 1).toUpperCase() !== alignment.to.charAt(mapped - 1).toUpperCase());
+    }
+    return {begin: mappedBegin, end: mappedEnd, changed: changed};
+};
+
+// Residues of the target sequence around the place a range missing from it would be, e.g. both sides of a deletion
+Alignment.prototype.locateGap = function(begin, end) {
+    var alignment = this;
+    var before = +begin - 1, after = (end ? +end : +begin) + 1;
+    while ((before > 0) && !alignment.mapPosition(before)) {
+        before--;
+    }
+    while ((after < alignment.positions.length) && !alignment.mapPosition(after)) {
+        after++;
+    }
+    var gapBegin = before > 0 ? alignment.mapPosition(before) : 1;
+    var gapEnd = after < alignment.positions.length ? alignment.mapPosition(after) : alignment.to.length;
+    return {begin: Math.min(gapBegin, gapEnd), end: gapEnd};
+};
+
+// Global alignment of the part both sequences do not share at their ends
+var alignMiddle = function(from, to, fromOffset, toOffset, positions) {
+    var rows = from.length, columns = to.length;
+    var traceback = new Array((rows + 1) * (columns + 1));
+    var previous = [], current = [];
+    var i, j;
+    for (j = 0; j <= columns; j++) {
+        previous[j] = j * scores.gap;
+        traceback[j] = LEFT;
+    }
+    for (i = 1; i <= rows; i++) {
+        current[0] = i * scores.gap;
+        traceback[i * (columns + 1)] = UP;
+        for (j = 1; j <= columns; j++) {
+            var diagonal = previous[j - 1]
+                + (from.charAt(i - 1) === to.charAt(j - 1) ? scores.match : scores.mismatch);
+            var up = previous[j] + scores.gap, left = current[j - 1] + scores.gap;
+            var best = Math.max(diagonal, up, left);
+            current[j] = best;
+            traceback[(i * (columns + 1)) + j] = best === diagonal ? DIAGONAL : best === up ? UP : LEFT;
+        }
+        previous = current;
+        current = [];
+    }
+    i = rows;
+    j = columns;
+    while ((i > 0) || (j > 0)) {
+        var move = traceback[(i * (columns + 1)) + j];
+        if ((i > 0) && (j > 0) && (move === DIAGONAL)) {
+            positions[fromOffset + i] = toOffset + j;
+            i--;
+            j--;
+        } else if ((i > 0) && ((j === 0) || (move === UP))) {
+            positions[fromOffset + i] = 0;
+            i--;
+        } else {
+            j--;
+        }
+    }
+};
+
+// Last row of the score matrix of the alignment of from with to, the best score with every prefix of to
+var getLastRow = function(from, to) {
+    var previous = new Int32Array(to.length + 1), current = new Int32Array(to.length + 1);
+    var i, j;
+    for (j = 0; j <= to.length; j++) {
+        previous[j] = j * scores.gap;
+    }
+    for (i = 1; i <= from.length; i++) {
+        current[0] = i * scores.gap;
+        for (j = 1; j <= to.length; j++) {
+            current[j] = Math.max(previous[j - 1]
+                + (from.charAt(i - 1) === to.charAt(j - 1) ? scores.match : scores.mismatch),
+                previous[j] + scores.gap, current[j - 1] + scores.gap);
+        }
+        var row = previous;
+        previous = current;
+        current = row;
+    }
+    return previous;
+};
+
+var reverse = function(sequence) {
+    return sequence.split('').reverse().join('');
+};
+
+// Hirschberg's algorithm: the first half of from is aligned with the prefix of to that scores best together with the
+// alignment of the second half with the rest, so that only alignments small enough keep a traceback
+var alignInParts = function(from, to, fromOffset, toOffset, positions) {
+    if ((from.length < 2) || ((from.length + 1) * (to.length + 1) <= maxCells)) {
+        alignMiddle(from, to, fromOffset, toOffset, positions);
+        return;
+    }
+    var half = Math.floor(from.length / 2);
+    var upper = getLastRow(from.substring(0, half), to);
+    var lower = getLastRow(reverse(from.substring(half)), reverse(to));
+    var split = 0, best = -Infinity;
+    for (var j = 0; j <= to.length; j++) {
+        if (upper[j] + lower[to.length - j] > best) {
+            best = upper[j] + lower[to.length - j];
+            split = j;
+        }
+    }
+    alignInParts(from.substring(0, half), to.substring(0, split), fromOffset, toOffset, positions);
+    alignInParts(from.substring(half), to.substring(split), fromOffset + half, toOffset + split, positions);
+};
+
+var SequenceAligner = function() {
+    return {
+        // Aligns from onto to. Common prefix and suffix are matched directly, so that sequence versions differing in
+        // a few residues are aligned quickly whatever their length. The rest is aligned in parts when it is long.
+        align: function(from, to) {
+            var source = from.toUpperCase(), target = to.toUpperCase();
+            var positions = _.map(_.range(source.length + 1), function() {
+                return 0;
+            });
+            var prefix = 0;
+            while ((prefix < source.length) && (prefix < target.length)
+                && (source.charAt(prefix) === target.charAt(prefix))) {
+                prefix++;
+                positions[prefix] = prefix;
+            }
+            var suffix = 0;
+            while ((suffix < source.length - prefix) && (suffix < target.length - prefix)
+                && (source.charAt(source.length - 1 - suffix) === target.charAt(target.length - 1 - suffix))) {
+                positions[source.length - suffix] = target.length - suffix;
+                suffix++;
+            }
+            alignInParts(source.substring(prefix, source.length - suffix),
+                target.substring(prefix, target.length - suffix), prefix, prefix, positions);
+            return new Alignment(from, to, positions);
+        }
+    };
+}();
+
+SequenceAligner.Alignment = Alignment;
+
+module.exports = SequenceAligner;
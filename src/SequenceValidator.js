@@ -0,0 +1,40 @@
+/*jslint node: true */
+/*jshint laxbreak: true */
+"use strict";
+
+var crc64 = require('./Crc64');
+
+var SequenceValidator = function() {
+    return {
+        crc64: crc64,
+        // Compares the sequence a payload was annotated on with the displayed one. The payload sequence is used when
+        // present, otherwise its sequenceChecksum or its sequence length. Payloads without any of them are
+        // considered consistent.
+        compare: function(reference, payload) {
+            var result = {consistent: true};
+            if (payload.sequence) {
+                if (payload.sequence.toUpperCase() !== reference.toUpperCase()) {
+                    result.consistent = false;
+                    result.reason = payload.sequence.length === reference.length
+                        ? 'the sequence differs from the displayed one'
+                        : 'the sequence length is ' + payload.sequence.length + ' instead of ' + reference.length;
+                }
+            } else if (payload.sequenceChecksum) {
+                if (payload.sequenceChecksum.toUpperCase() !== SequenceValidator.crc64(reference.toUpperCase())) {
+                    result.consistent = false;
+                    result.reason = 'the sequence checksum ' + payload.sequenceChecksum
+                        + ' does not match the displayed sequence';
+                }
+            } else if (payload.sequenceLength !== undefined) {
+                if (+payload.sequenceLength !== reference.length) {
+                    result.consistent = false;
+                    result.reason = 'the sequence length is ' + payload.sequenceLength + ' instead of '
+                        + reference.length;
+                }
+            }
+            return result;
+        }
+    };
+}();
+
+module.exports = SequenceValidator;
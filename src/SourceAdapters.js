@@ -0,0 +1,73 @@
+/*jslint node: true */
+/*jshint laxbreak: true */
+"use strict";
+
+var _ = require('underscore');
+var Gff3Adapter = require('./Gff3Adapter');
+var VcfAdapter = require('./VcfAdapter');
+var UniProtKbAdapter = require('./UniProtKbAdapter');
+
+var defaultFormat = 'json';
+var adapters = {};
+
+var SourceAdapters = function() {
+    return {
+        getDefaultFormat: function() {
+            return defaultFormat;
+        },
+        // An adapter is an object {dataType: 'json'|'text'|'xml', parse: function(raw, source, context)}. parse turns
+        // the raw response into a ProtVista payload {accession, sequence, features}; sequence can be omitted, in that
+        // case the one provided by any other source will be used. context holds the accession being displayed and the viewer
+        // configuration. An optional extension replaces the format name in URLs built with useExtension or {format}.
+        register: function(format, adapter) {
+            if (!adapter || (typeof adapter.parse !== 'function')) {
+                throw new Error('Adapter for format ' + format + ' should provide a parse function');
+            }
+            adapters[format.toLowerCase()] = adapter;
+        },
+        unregister: function(format) {
+            delete adapters[format.toLowerCase()];
+        },
+        get: function(format) {
+            return adapters[(format ? format : defaultFormat).toLowerCase()];
+        },
+        has: function(format) {
+            return _.has(adapters, (format ? format : defaultFormat).toLowerCase());
+        },
+        getFormats: function() {
+            return _.keys(adapters);
+        },
+        getDataType: function(source) {
+            var adapter = this.get(source.format);
+            return adapter && adapter.dataType ? adapter.dataType : defaultFormat;
+        },
+        getExtension: function(source) {
+            var format = source.format ? source.format : defaultFormat;
+            var adapter = this.get(format);
+            return adapter && adapter.extension ? adapter.extension : format;
+        },
+        adapt: function(source, raw, context) {
+            var adapter = this.get(source.format);
+            if (!adapter) {
+                throw new Error('There is no adapter registered for the format ' + source.format);
+            }
+            var payload = adapter.parse(raw, source, context);
+            return payload instanceof Array ? {features: payload} : payload;
+        }
+    };
+}();
+
+SourceAdapters.register(defaultFormat, {
+    dataType: 'json',
+    parse: function(raw) {
+        //Workaround to be removed
+        return raw instanceof Array ? raw[0] : raw;
+    }
+});
+
+SourceAdapters.register('gff3', Gff3Adapter);
+SourceAdapters.register('gff', Gff3Adapter);
+SourceAdapters.register('vcf', VcfAdapter);
+SourceAdapters.register('uniprotkb', UniProtKbAdapter);
+
+module.exports = SourceAdapters;
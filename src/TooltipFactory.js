@@ -128,11 +128,40 @@ var addDescription = function(tooltip, description) {
     }
 };
 
+// Features remapped from the sequence they were annotated on show their original positions next to the displayed ones
+var addMapping = function(tooltip, mapping) {
+    if (mapping) {
+        var mappingRow = tooltip.table.append('tr');
+        mappingRow.append('td').text('Annotated on');
+        mappingRow.append('td').text(mapping.from + ' ' + mapping.begin
+            + (mapping.end && (+mapping.end !== +mapping.begin) ? '-' + mapping.end : '')
+            + (mapping.gap ? ', missing from the displayed sequence'
+                : mapping.changed ? ', the sequence differs in this region' : ''));
+    }
+};
+
+// Merged features list the sources reporting them
+var addSources = function(tooltip, fv, sources) {
+    if (sources && (sources.length > 1)) {
+        var labels = _.map(sources, function(id) {
+            var summary = _.findWhere(fv.sourceSummaries, {id: id});
+            return !summary ? id
+                : summary.source === Constants.getUniProtSource() ? 'UniProt'
+                : fv.config.getExternalSourceInfo(summary.source).label;
+        });
+        var sourcesRow = tooltip.table.append('tr');
+        sourcesRow.append('td').text('Sources');
+        sourcesRow.append('td').text(_.uniq(labels).join(', '));
+    }
+};
+
 var Tooltip = function(fv, catTitle, d, container, coordinates) {
     var tooltip = this;
     tooltip.data = d;
     tooltip.sequence = fv.sequence;
     tooltip.accession = fv.accession;
+    tooltip.config = fv.config;
+    tooltip.customSequence = fv.customSequence;
     tooltip.tooltipViewer = undefined;
 
     var tooltipContainer = createTooltipBox(fv, container);
@@ -164,7 +193,11 @@ var Tooltip = function(fv, catTitle, d, container, coordinates) {
         (tooltip.data.end && (tooltip.data.end !== tooltip.data.begin) ? '-' + tooltip.data.end : '');
     descRow.append('th').attr('colspan', 2).text(tooltipTitle);
 
-    var keys = tooltip.data.externalData ? _.keys(tooltip.data.externalData).join(', ') : undefined;
+    var keys = tooltip.data.externalData
+        ? _.map(_.keys(tooltip.data.externalData), function(key) {
+            return fv.config.getExternalSourceInfo(key).label;
+        }).join(', ')
+        : undefined;
     if (keys || (tooltip.data.sourceType !== undefined)) {
         var dataSource = tooltip.table.append('tr');
         dataSource.append('td').text('Source');
@@ -195,7 +228,9 @@ var Tooltip = function(fv, catTitle, d, container, coordinates) {
     } else {
         addFtId(tooltip, tooltip.data.ftId);
         addDescription(tooltip, tooltip.data.description, 'description');
+        addSources(tooltip, fv, tooltip.data.sources);
     }
+    addMapping(tooltip, tooltip.data.mapping);
 };
 
 var addEvidenceXRefLinks = function(tooltip, sourceRow, info) {
@@ -260,11 +295,18 @@ Tooltip.prototype.addBlast = function() {
     if (((end - tooltip.data.begin) >= 3) && (!_.contains(Constants.getNoBlastTypes(), type))) {
         var blast = tooltip.table.append('tr');
         blast.append('td').text('Tools');
-        var url = Constants.getBlastURL() + tooltip.accession + '[' + tooltip.data.begin;
-        url += '-';
-        url += end + ']' + '&key=' + Constants.getTrackInfo(type).label;
-        if (tooltip.data.ftId) {
-            url += '&id=' + tooltip.data.ftId;
+        var url;
+        if (tooltip.customSequence) {
+            // a sequence without accession can only be searched by its residues
+            url = Constants.getSequenceBlastURL()
+                + tooltip.customSequence.sequence.substring(tooltip.data.begin - 1, end);
+        } else {
+            url = Constants.getBlastURL() + tooltip.accession + '[' + tooltip.data.begin;
+            url += '-';
+            url += end + ']' + '&key=' + tooltip.config.getTrackInfo(type).label;
+            if (tooltip.data.ftId) {
+                url += '&id=' + tooltip.data.ftId;
+            }
         }
         blast.append('td').append('span')
             .append('a')
@@ -487,9 +529,9 @@ var VariantTooltipViewer = function(tooltip) {
         addXRefs(tooltip, tooltip.data.xrefs);
         addAssociation(tooltip);
     }
-    //There is only one external data source but we do not know the key name
     _.each(tooltip.data.externalData, function(data, key) {
-        addSection(tooltip, data, data.ftId, data.description, data.evidences, data.xrefs, key);
+        addSection(tooltip, data, data.ftId, data.description, data.evidences, data.xrefs,
+            tooltip.config.getExternalSourceInfo(key).label);
     });
 };
 
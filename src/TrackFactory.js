@@ -9,7 +9,6 @@ var FeatureFactory = require("./FeatureFactory");
 var NonOverlappingLayout = require("./NonOverlappingLayout");
 var BasicViewer = require("./BasicViewer");
 var VariantViewer = require("./VariantViewer");
-var Constants = require("./Constants");
 
 var Track = function(typeFeatures, category) {
     var track = this;
@@ -45,7 +44,7 @@ var VariantTrackViewer = function(track) {
 
 Track.basic = function() {
     var self = this;
-    var trackInfo = Constants.getTrackInfo(self.type.toLowerCase());
+    var trackInfo = self.category.fv.config.getTrackInfo(self.type.toLowerCase());
     this.titleContainer.attr('class', 'up_pftv_track-header')
         .attr('title', trackInfo.label.toUpperCase() + '\n' +trackInfo.tooltip)
         .text(trackInfo.label);
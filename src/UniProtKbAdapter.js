@@ -0,0 +1,110 @@
+/*jslint node: true */
+/*jshint laxbreak: true */
+"use strict";
+
+var _ = require('underscore');
+var Constants = require('./Constants');
+var Evidence = require('./Evidence');
+
+var defaultCategory = 'DOMAINS_AND_SITES';
+
+// Types whose name in the entry differs from the track label
+var typeAliases = {
+    'signal': 'SIGNAL',
+    'alternative sequence': 'VAR_SEQ'
+};
+
+var getType = function(name, config) {
+    var alias = typeAliases[name.toLowerCase()];
+    return alias ? alias : config.getTrackType(name);
+};
+
+var getPosition = function(position) {
+    return position && (position.value !== undefined) && (position.value !== null) ? +position.value : undefined;
+};
+
+var parseEvidences = function(evidences) {
+    return _.map(evidences, function(evidence) {
+        var parsed = {code: evidence.evidenceCode};
+        if (evidence.source) {
+            parsed.source = evidence.id ? Evidence.createSource(evidence.source, evidence.id)
+                : {name: evidence.source};
+        }
+        return parsed;
+    });
+};
+
+var parseXrefs = function(xrefs) {
+    return _.map(xrefs, function(xref) {
+        return Evidence.createSource(xref.database, xref.id);
+    });
+};
+
+// Features located on another isoform of the entry are only kept when that isoform is displayed
+var isOnDisplayedSequence = function(location, accession) {
+    return !location.sequence || !accession || (location.sequence === accession);
+};
+
+var parseFeature = function(entryFeature, source, config) {
+    var type = getType(entryFeature.type, config);
+    var location = entryFeature.location ? entryFeature.location : {};
+    var feature = {
+        type: type,
+        category: source.defaultCategory ? source.defaultCategory
+            : Constants.getCategoryForType(type) ? Constants.getCategoryForType(type)
+            : defaultCategory,
+        begin: getPosition(location.start),
+        end: getPosition(location.end)
+    };
+    feature.description = entryFeature.description ? entryFeature.description : '';
+    if (entryFeature.ligand && entryFeature.ligand.name) {
+        feature.description = entryFeature.ligand.name
+            + (feature.description ? '; ' + feature.description : '');
+    }
+    if (entryFeature.featureId) {
+        feature.ftId = entryFeature.featureId;
+    }
+    if (entryFeature.evidences && (entryFeature.evidences.length !== 0)) {
+        feature.evidences = parseEvidences(entryFeature.evidences);
+    }
+    if (entryFeature.featureCrossReferences && (entryFeature.featureCrossReferences.length !== 0)) {
+        feature.xrefs = parseXrefs(entryFeature.featureCrossReferences);
+    }
+    var alternative = entryFeature.alternativeSequence;
+    if (alternative && alternative.alternativeSequences && (alternative.alternativeSequences.length !== 0)) {
+        feature.alternativeSequence = alternative.alternativeSequences.join(', ');
+    }
+    return feature;
+};
+
+// Entry JSON served by rest.uniprot.org, either a single entry or a search response with its results
+var UniProtKbAdapter = function() {
+    return {
+        dataType: 'json',
+        extension: 'json',
+        parse: function(raw, source, context) {
+            source = source ? source : {};
+            context = context ? context : {};
+            var config = context.config ? context.config : Constants;
+            var entry = raw instanceof Array ? raw[0] : raw.results ? raw.results[0] : raw;
+            if (!entry) {
+                throw new Error('The response does not contain any UniProtKB entry');
+            }
+            var accession = context.accession ? context.accession : entry.primaryAccession;
+            var payload = {accession: entry.primaryAccession, features: []};
+            if (entry.sequence) {
+                payload.sequence = entry.sequence.value;
+                payload.sequenceChecksum = entry.sequence.crc64;
+            }
+            _.each(entry.features, function(entryFeature) {
+                var location = entryFeature.location ? entryFeature.location : {};
+                if (isOnDisplayedSequence(location, accession)) {
+                    payload.features.push(parseFeature(entryFeature, source, config));
+                }
+            });
+            return payload;
+        }
+    };
+}();
+
+module.exports = UniProtKbAdapter;
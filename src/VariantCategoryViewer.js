@@ -7,6 +7,9 @@ var d3 = require("d3");
 var _ = require("underscore");
 var ViewerHelper = require("./ViewerHelper");
 
+// colours given by the stylesheet to the SVG chart
+var areaColor = 'lightgrey', lineColor = 'darkgrey', hoverColor = 'darkslategrey';
+
 var VariantCategoryViewer = function(category) {
     var varCatViewer = this;
     varCatViewer.features = category.data;
@@ -14,10 +17,13 @@ var VariantCategoryViewer = function(category) {
     var height = 40;
     var container = category.viewerContainer,
         xScale = category.fv.xScale,
-        width = category.fv.width,
         zoom = category.fv.zoom;
 
-    varCatViewer.varChart = ViewerHelper.createSVG(container, width, height, category.fv, 'up_pftv_variation-chart');
+    varCatViewer.varChart = ViewerHelper.createSVG(container, category.fv.width, height, category.fv,
+        'up_pftv_variation-chart');
+    varCatViewer.canvas = category.fv.variantRenderer === 'canvas'
+        ? ViewerHelper.createCanvas(container, category.fv.width, height, 'up_pftv_variant-canvas')
+        : undefined;
 
     varCatViewer.variationCountArray = _.map(varCatViewer.features, function(d) {
         return d.variants.length;
@@ -27,49 +33,154 @@ var VariantCategoryViewer = function(category) {
         .domain([0,d3.max(varCatViewer.variationCountArray)])
         .range([height, 0]);
 
+    // points are pairs of a position and its number of variants
     var line = d3.svg.line()
-        .x(function(d,i) {
-            return xScale(i);
+        .x(function(d) {
+            return xScale(d[0]);
         })
         .y(function(d) {
-            return varYScale(d);
+            return varYScale(d[1]);
         })
         .interpolate('linear');
 
-    this.init = function () {
-        var varCatViewer = this;
-        varCatViewer.varChart.append("path")
-            .data(varCatViewer.features)
-            .attr("class","up_pftv_block-area")
-            .attr("d",line(varCatViewer.variationCountArray))
-            .on('click', function(){
-                category.toggle();
-            })
-            .append('title').text('Number of variants per position');
+    // Only the positions in the range make the chart
+    var getPoints = function(range) {
+        var counts = varCatViewer.variationCountArray;
+        var first = Math.max(0, Math.floor(range.begin));
+        var last = Math.min(counts.length - 1, Math.ceil(range.end));
+        return _.map(_.range(first, last + 1), function(position) {
+            return [position, counts[position]];
+        });
+    };
 
-        varCatViewer.varChart.append("path")
-            .data(varCatViewer.features)
-            .attr("class","up_pftv_line")
-            .attr("d",line(varCatViewer.variationCountArray))
-            .on('click', function(){
-                category.toggle();
+    // The area goes down to the axis at both ends of the chart, which covers the drawn range only during zoom and
+    // brush gestures
+    var getPath = function(clazz) {
+        var points = getPoints(category.fv.partialUpdate ? ViewerHelper.getDrawnRange(category.fv)
+            : {begin: 0, end: Infinity});
+        if ((clazz === 'up_pftv_block-area') && (points.length !== 0)) {
+            points = [[_.first(points)[0], 0]].concat(points, [[_.last(points)[0], 0]]);
+        }
+        return line(points);
+    };
+
+    var drawPaths = function(chart) {
+        var paths = chart.selectAll('.up_pftv_block-area, .up_pftv_line')
+            .data(['up_pftv_block-area', 'up_pftv_line'])
+            .enter().append('path')
+            .attr('class', function(d) {
+                return d;
             })
-            .append('title').text('Number of variants per position');
+            .attr('d', getPath);
+        paths.append('title').text('Number of variants per position');
+        return paths;
+    };
+
+    var drawCanvas = function() {
+        var context = ViewerHelper.clearCanvas(varCatViewer.canvas);
+        var points = getPoints(ViewerHelper.getDrawnRange(category.fv));
+        if (points.length === 0) {
+            return;
+        }
+        var tracePath = function() {
+            context.beginPath();
+            _.each(points, function(point, i) {
+                if (i === 0) {
+                    context.moveTo(xScale(point[0]), varYScale(point[1]));
+                } else {
+                    context.lineTo(xScale(point[0]), varYScale(point[1]));
+                }
+            });
+        };
+        tracePath();
+        context.lineTo(xScale(_.last(points)[0]), height);
+        context.lineTo(xScale(_.first(points)[0]), height);
+        context.closePath();
+        context.fillStyle = varCatViewer.hovered ? hoverColor : areaColor;
+        context.fill();
+        tracePath();
+        context.lineWidth = 1;
+        context.strokeStyle = varCatViewer.hovered ? hoverColor : lineColor;
+        context.stroke();
+    };
+
+    // Whether a point of the chart is under the line, where the SVG area would be
+    var isInArea = function(x, y) {
+        var position = Math.round(xScale.invert(x));
+        var count = varCatViewer.variationCountArray[position];
+        return (count !== undefined) && (y >= varYScale(count));
+    };
+
+    this.init = function () {
+        var varCatViewer = this;
+        if (varCatViewer.canvas) {
+            drawCanvas();
+        } else {
+            drawPaths(varCatViewer.varChart)
+                .on('click', function(){
+                    category.toggle();
+                });
+        }
     };
 
     this.init();
 
+    if (varCatViewer.canvas) {
+        varCatViewer.varChart.append('title').text('Number of variants per position');
+        varCatViewer.varChart
+            .on('mousemove.canvas', function() {
+                var point = d3.mouse(this);
+                var hovered = isInArea(point[0], point[1]);
+                if (hovered !== varCatViewer.hovered) {
+                    varCatViewer.hovered = hovered;
+                    d3.select(this).style('cursor', hovered ? 'pointer' : null);
+                    drawCanvas();
+                }
+            })
+            .on('mouseleave.canvas', function() {
+                varCatViewer.hovered = false;
+                d3.select(this).style('cursor', null);
+                drawCanvas();
+            })
+            .on('click.canvas', function() {
+                if (varCatViewer.hovered) {
+                    category.toggle();
+                }
+            });
+    }
+
     this.update = function() {
         var varCatViewer = this;
+        if (varCatViewer.canvas) {
+            drawCanvas();
+            return;
+        }
         varCatViewer.varChart.selectAll(".up_pftv_block-area")
             .data(varCatViewer.features)
             .attr("class","up_pftv_block-area")
-            .attr("d",line(varCatViewer.variationCountArray));
+            .attr("d",getPath("up_pftv_block-area"));
 
         varCatViewer.varChart.selectAll(".up_pftv_line")
             .data(varCatViewer.features)
             .attr("class","up_pftv_line")
-            .attr("d",line(varCatViewer.variationCountArray));
+            .attr("d",getPath("up_pftv_line"));
+    };
+
+    this.resize = function() {
+        varCatViewer.varChart.attr('width', category.fv.width);
+        if (varCatViewer.canvas) {
+            ViewerHelper.resizeCanvas(varCatViewer.canvas, category.fv.width, height);
+        }
+        this.update();
+    };
+
+    // SVG of the chart, whatever the renderer
+    this.exportSVG = function() {
+        var copy = d3.select(varCatViewer.varChart.node().cloneNode(true));
+        if (varCatViewer.canvas) {
+            drawPaths(copy);
+        }
+        return copy.node();
     };
 
     this.updateData = function(data) {
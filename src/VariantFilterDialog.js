@@ -10,7 +10,6 @@ var Evidence = require('./Evidence');
 var Constants = require("./Constants");
 var LegendDialog = require("./VariantLegendDialog");
 
-var populated = false;
 var defaultFilterCaseDisease = {
     label: 'Disease (reviewed)',
     on: true,
@@ -69,11 +68,6 @@ var defaultFilterCaseOthers = {
     },
     color: LegendDialog.othersColor
 };
-var defaultFilterConsequence = {
-    label: 'Filter consequence',
-    cases: []
-};
-
 var defaultFilterCaseUP = {
     label: 'UniProt reviewed',
     on: true,
@@ -106,60 +100,53 @@ var defaultFilterCaseLSS = {
     },
     color: 'grey'
 };
-var defaultFilterSource = {
-    label: 'Filter data source',
-    cases: []
-};
-
-var filters = [];
-
+// Filters are kept per viewer so that viewers with different sources do not share filter cases. Cases are copied
+// as their on flag is the state of the filter.
 var populateFilters = function(fv) {
-    if (!populated) {
-        if (fv.defaultSource === true) {
-            defaultFilterConsequence.cases.push(defaultFilterCaseDisease);
-            defaultFilterConsequence.cases.push(defaultFilterCasePrediction);
-            defaultFilterConsequence.cases.push(defaultFilterCaseNonDisease);
-            defaultFilterConsequence.cases.push(defaultFilterCaseOthers);
-            filters.push(defaultFilterConsequence);
-            defaultFilterSource.cases.push(defaultFilterCaseUP);
-            defaultFilterSource.cases.push(defaultFilterCaseClinvar);
-            defaultFilterSource.cases.push(defaultFilterCaseLSS);
-            filters.push(defaultFilterSource);
-        } else {
-            defaultFilterConsequence.cases.push(defaultFilterCasePrediction);
-            filters.push(defaultFilterConsequence);
-            filters.push(defaultFilterSource);
-        }
-        populated = true;
+    if (!fv.variantFilters) {
+        var consequenceCases = fv.defaultSource === true
+            ? [defaultFilterCaseDisease, defaultFilterCasePrediction, defaultFilterCaseNonDisease,
+                defaultFilterCaseOthers]
+            : [defaultFilterCasePrediction];
+        var sourceCases = fv.defaultSource === true
+            ? [defaultFilterCaseUP, defaultFilterCaseClinvar, defaultFilterCaseLSS]
+            : [];
+        fv.variantFilters = [
+            {label: 'Filter consequence', cases: _.map(consequenceCases, _.clone)},
+            {label: 'Filter data source', cases: _.map(sourceCases, _.clone)}
+        ];
     }
+    return fv.variantFilters;
 };
 
-var addSourceFilters = function() {
-    _.each(Constants.getDataSources(), function(dataSource) {
+var addSourceFilters = function(fv, filters) {
+    _.each(fv.config.getDataSources(), function(dataSource) {
         if (dataSource.source !== Constants.getUniProtSource()) {
             var exist = _.find(filters[1].cases, function(aCase) {
-                return aCase.label === dataSource.source;
+                return aCase.source === dataSource.source;
             });
             if (!exist) {
+                var sourceInfo = fv.config.getExternalSourceInfo(dataSource.source);
                 filters[1].cases.push({
-                    label: dataSource.source,
+                    label: sourceInfo.label,
+                    source: dataSource.source,
                     on: true,
                     properties: {
-                        'externalData': function(variant, label) {
-                            var hasCustom = variant.externalData && (_.keys(variant.externalData).length !== 0);
-                            return label ? hasCustom && variant.externalData[label] : hasCustom;
+                        'externalData': function(variant) {
+                            return variant.externalData !== undefined &&
+                                variant.externalData[dataSource.source] !== undefined;
                         }
                     },
                     color: 'grey',
-                    border: '2px solid black'
+                    border: '2px solid ' + sourceInfo.color
                 });
             }
         }
     });
 };
 
-var addConsequenceTypes = function() {
-    _.each(Constants.getConsequenceTypes(), function(consequence, index) {
+var addConsequenceTypes = function(fv, filters) {
+    _.each(fv.config.getConsequenceTypes(), function(consequence, index) {
         var exist = _.find(filters[0].cases, function(aCase) {
             return aCase.label === consequence;
         });
@@ -169,8 +156,9 @@ var addConsequenceTypes = function() {
                 on: true,
                 properties: {
                     'consequence': function(variant) {
-                        var keys = _.keys(variant.externalData);
-                        return (keys.length > 0) ? variant.externalData[keys[0]].consequence === consequence : false;
+                        return _.some(variant.externalData, function(datum) {
+                            return datum.consequence === consequence;
+                        });
                     }
                 },
                 color: LegendDialog.consequenceColors[index % LegendDialog.consequenceColors.length]
@@ -180,13 +168,14 @@ var addConsequenceTypes = function() {
 };
 
 var VariantFilterDialog = function(fv, container, variantViewer) {
-    populateFilters(fv);
-    addConsequenceTypes();
-    addSourceFilters();
+    var filters = populateFilters(fv);
+    addConsequenceTypes(fv, filters);
+    addSourceFilters(fv, filters);
 
     var variantFilterDialog = this;
     variantFilterDialog.variantViewer = variantViewer;
-    variantFilterDialog.filters = $.extend(true, [], filters);
+    // filters are shared with the viewer so that their state survives a reload such as fv.setAccession
+    variantFilterDialog.filters = filters;
     var buttons = container.append('div')
         .attr('class', 'up_pftv_buttons');
 
@@ -201,6 +190,7 @@ var VariantFilterDialog = function(fv, container, variantViewer) {
             variantFilterDialog.reset();
             variantFilterDialog.variantViewer.updateData(variantFilterDialog.variantViewer.features);
         });
+    updateResetButton(variantFilterDialog.filters, container);
 
     _.each(variantFilterDialog.filters, function(filterSet, index) {
         var filterTitle = container.append('h4').text(filterSet.label);
@@ -260,6 +250,10 @@ var VariantFilterDialog = function(fv, container, variantViewer) {
         };
     });
 
+    variantFilterDialog.apply = function(data) {
+        return allFiltersOn(variantFilterDialog.filters) ? data : filterData(variantFilterDialog.filters, data);
+    };
+
     variantFilterDialog.reset = function() {
         _.each(variantFilterDialog.filters, function(filterset) {
             _.each(filterset.cases, function(filterCase) {
@@ -277,16 +271,17 @@ var VariantFilterDialog = function(fv, container, variantViewer) {
     return variantFilterDialog;
 };
 
-var updateResetButton = function(filters, container) {
-    var allOn = _.every(filters, function(filterset) {
+var allFiltersOn = function(filters) {
+    return _.every(filters, function(filterset) {
         return _.every(filterset.cases, function(filterCase) {
             return filterCase.on === true;
         });
     });
-    if (allOn === true) {
-        container.select('.up_pftv_inner-icon-container')
-            .style('visibility', 'hidden');
-    }
+};
+
+var updateResetButton = function(filters, container) {
+    container.select('.up_pftv_inner-icon-container')
+        .style('visibility', allFiltersOn(filters) ? 'hidden' : 'visible');
 };
 
 var getBackgroundAndBorder = function(filter) {
@@ -343,4 +338,13 @@ var filterData = function(filters, data) {
     return newData;
 };
 
+// Drops the filter case of a source that is not displayed anymore
+VariantFilterDialog.removeSourceFilter = function(fv, sourceName) {
+    if (fv.variantFilters) {
+        fv.variantFilters[1].cases = _.reject(fv.variantFilters[1].cases, function(aCase) {
+            return aCase.source === sourceName;
+        });
+    }
+};
+
 module.exports = VariantFilterDialog;
\ No newline at end of file
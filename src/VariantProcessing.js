@@ -0,0 +1,204 @@
+/*jslint node: true */
+/*jshint laxbreak: true */
+"use strict";
+
+// Feature validation, evidence grouping and variant bucketing, used by DataLoader and by the variant worker. Nothing
+// is required here so that the source of the factory can be evaluated as it is in a worker.
+var variantProcessing = function() {
+    var isMissing = function(position) {
+        return (position === undefined) || (position === null) || (position === '');
+    };
+
+    var createIssue = function(feature, action, reason) {
+        return {
+            type: feature.type,
+            begin: feature.begin,
+            end: feature.end,
+            ftId: feature.ftId,
+            action: action,
+            reason: reason
+        };
+    };
+
+    // trackTypes lists the known types in lower case
+    var validateFeatures = function(features, sequence, trackTypes) {
+        var valid = [], issues = [];
+        for (var i = 0; features && (i < features.length); i++) {
+            var feature = features[i];
+            var isObject = (feature !== null) && (typeof feature === 'object');
+            if (!isObject || !feature.type) {
+                issues.push(createIssue(isObject ? feature : {}, 'rejected', 'the type is missing'));
+                continue;
+            }
+            if (isMissing(feature.begin)) {
+                issues.push(createIssue(feature, 'rejected', 'the begin position is missing'));
+                continue;
+            }
+            var begin = +feature.begin, end = isMissing(feature.end) ? begin : +feature.end;
+            if (isNaN(begin) || isNaN(end)) {
+                issues.push(createIssue(feature, 'rejected', 'the positions are not numbers'));
+                continue;
+            }
+            // positions given the wrong way round are swapped before being checked
+            var swapped = end < begin;
+            if (swapped) {
+                var first = end;
+                end = begin;
+                begin = first;
+            }
+            // variants can describe a change right after the last residue
+            var last = sequence.length + (feature.type === 'VARIANT' ? 1 : 0);
+            if ((begin < 1) || (begin > last)) {
+                issues.push(createIssue(feature, 'rejected', 'the begin position ' + begin
+                    + ' is outside the sequence (1-' + last + ')'));
+                continue;
+            }
+            if (swapped) {
+                issues.push(createIssue(feature, 'corrected', 'the end position ' + begin
+                    + ' is before the begin position, both were swapped'));
+                var swappedBegin = feature.begin;
+                feature.begin = feature.end;
+                feature.end = swappedBegin;
+            }
+            if (end > last) {
+                issues.push(createIssue(feature, 'corrected', 'the end position ' + end
+                    + ' is past the sequence end, it was set to ' + last));
+                feature.end = typeof feature.end === 'string' ? String(last) : last;
+            }
+            var type = feature.type.toLowerCase();
+            if ((trackTypes.indexOf(type) === -1) && (type !== 'proteomics')) {
+                issues.push(createIssue(feature, 'accepted', 'the type ' + feature.type
+                    + ' is unknown, it is drawn with the default style'));
+            }
+            valid.push(feature);
+        }
+        return {features: valid, issues: issues};
+    };
+
+    var evidenceGrouping = function(ftEvidences) {
+        var evidences = {};
+        for (var i = 0; i < ftEvidences.length; i++) {
+            var ev = ftEvidences[i];
+            if (evidences[ev.code]) {
+                evidences[ev.code].push(ev.source);
+            } else {
+                evidences[ev.code] = [ev.source];
+            }
+        }
+        return evidences;
+    };
+
+    var groupEvidencesByCode = function(features) {
+        for (var i = 0; i < features.length; i++) {
+            var ft = features[i];
+            if (ft.evidences) {
+                ft.evidences = evidenceGrouping(ft.evidences);
+            }
+            for (var j = 0; ft.association && (j < ft.association.length); j++) {
+                if (ft.association[j].evidences) {
+                    ft.association[j].evidences = evidenceGrouping(ft.association[j].evidences);
+                }
+            }
+        }
+        return features;
+    };
+
+    // Variants of other sources than UniProt keep their data under externalData, so that several sources can
+    // report the same variant
+    var setVariantData = function(source, external, d) {
+        if (!external) {
+            return d;
+        }
+        var datum = {begin: d.begin, end: d.end, wildType: d.wildType, alternativeSequence: d.alternativeSequence,
+            sourceType: d.sourceType, type: d.type};
+        delete d.begin;
+        delete d.end;
+        delete d.wildType;
+        delete d.alternativeSequence;
+        delete d.sourceType;
+        delete d.type;
+        if (d.mapping) {
+            datum.mapping = d.mapping;
+            delete d.mapping;
+        }
+        datum.externalData = {};
+        datum.externalData[source] = d;
+        return datum;
+    };
+
+    var createPosition = function(normal, pos) {
+        return {type: 'VARIANT', normal: normal, pos: pos, variants: []};
+    };
+
+    // Variants to draw with the index of the residue each one goes to, residues being a typed array so that workers
+    // can transfer it. onProgress, when given, is called now and then with the share of variants processed.
+    var indexVariants = function(variants, sequence, source, external, evidenceAlreadyGrouped, onProgress) {
+        var i;
+        if (external) {
+            for (i = 0; i < variants.length; i++) {
+                delete variants[i].category;
+            }
+        }
+        if (!evidenceAlreadyGrouped) {
+            variants = groupEvidencesByCode(variants);
+        }
+        var kept = [], residues = [], consequences = [], found = {};
+        var step = Math.max(1000, Math.ceil(variants.length / 20));
+        for (i = 0; i < variants.length; i++) {
+            var d = variants[i];
+            d.begin = +d.begin;
+            d.end = d.end ? +d.end : d.begin;
+            d.wildType = d.wildType ? d.wildType : sequence.substring(d.begin, d.end + 1);
+            // variants right after the last residue go with it
+            var residue = (1 <= d.begin) && (d.begin <= sequence.length) ? d.begin
+                : (sequence.length + 1) === d.begin ? d.begin - 1 : undefined;
+            if (residue !== undefined) {
+                kept.push(setVariantData(source, external, d));
+                residues.push(residue);
+            }
+            if (d.consequence && !found[d.consequence]) {
+                found[d.consequence] = true;
+                consequences.push(d.consequence);
+            }
+            if (onProgress && (i % step === 0)) {
+                onProgress(i / variants.length);
+            }
+        }
+        return {variants: kept, residues: new Int32Array(residues), consequences: consequences};
+    };
+
+    // One position per residue plus one before and one after the sequence, holding the indexed variants
+    var toPositions = function(sequence, indexed) {
+        var positions = [createPosition('-', 0)];
+        for (var i = 0; i < sequence.length; i++) {
+            positions.push(createPosition(sequence.charAt(i), i + 1));
+        }
+        positions.push(createPosition('-', sequence.length + 1));
+        for (i = 0; i < indexed.variants.length; i++) {
+            positions[indexed.residues[i]].variants.push(indexed.variants[i]);
+        }
+        return positions;
+    };
+
+    return {
+        createIssue: createIssue,
+        validateFeatures: validateFeatures,
+        groupEvidencesByCode: groupEvidencesByCode,
+        setVariantData: setVariantData,
+        indexVariants: indexVariants,
+        toPositions: toPositions,
+        // Buckets variants by residue. positions has one entry per residue plus one before and one after the
+        // sequence; consequences lists the consequence types found.
+        processVariants: function(variants, sequence, source, external, evidenceAlreadyGrouped, onProgress) {
+            var indexed = indexVariants(variants, sequence, source, external, evidenceAlreadyGrouped, onProgress);
+            return {positions: toPositions(sequence, indexed), consequences: indexed.consequences};
+        }
+    };
+};
+
+var VariantProcessing = variantProcessing();
+
+// evaluated by workers to get the same functions
+VariantProcessing.script = '(' + variantProcessing.toString() + ')()';
+
+module.exports = VariantProcessing;
@@ -9,12 +9,16 @@ var ViewerHelper = require("./ViewerHelper");
 var LegendDialog = require("./VariantLegendDialog");
 var VariantFilterDialog = require("./VariantFilterDialog");
 var Evidence = require('./Evidence');
-var Constants = require("./Constants");
 
 //'G', 'A', 'V', 'L', 'I' aliphatic. 'S', 'T' hydroxyl. 'C', 'M' sulfur-containing. 'D', 'N', 'E', 'Q' acidic.
 // 'R', 'K', 'H' basic. 'F', 'Y', 'W' aromatic. 'P' imino. '*' stop gained or lost.
 var aaList = ['G', 'A', 'V', 'L', 'I', 'S', 'T', 'C', 'M', 'D', 'N', 'E', 'Q', 'R', 'K', 'H', 'F', 'Y', 'W', 'P', 'd', '*'];
 
+var frequency = d3.scale.pow()
+    .exponent(0.001)
+    .domain([0, 1])
+    .range([5, 10]);
+
 var getPredictionColorScore = function(siftScore, siftPrediction, polyphenScore, polyphenPrediction) {
     var sift = false,
         polyphen = false;
@@ -37,9 +41,22 @@ var getPredictionColorScore = function(siftScore, siftPrediction, polyphenScore,
     }
 };
 
+//Several custom sources can describe the same variant, the first one with a consequence or a prediction is used
+var getExternalDatum = function(externalData) {
+    var data = _.values(externalData);
+    var withConsequence = _.find(data, function(datum) {
+        return datum.consequence;
+    });
+    var withPrediction = _.find(data, function(datum) {
+        return getPredictionColorScore(datum.siftScore, datum.siftPrediction, datum.polyphenScore,
+            datum.polyphenPrediction) !== undefined;
+    });
+    return withConsequence ? withConsequence : withPrediction ? withPrediction : data[0];
+};
+
 var getVariantsFillColor = function(fv, d, extDatum, externalPrediction, predictionScore) {
     if (d.externalData && extDatum.consequence) {
-        var pos = Constants.getConsequenceTypes().indexOf(extDatum.consequence);
+        var pos = fv.config.getConsequenceTypes().indexOf(extDatum.consequence);
         return pos !== -1 ? LegendDialog.consequenceColors[pos%LegendDialog.consequenceColors.length] : 'black';
     }
 
@@ -84,12 +101,13 @@ var variantsFill = function(d, fv) {
     } else {
         var externalPrediction, extDatum = {};
         if (d.externalData) {
-            var keys = _.keys(d.externalData);
-            extDatum = d.externalData[keys[0]];
+            extDatum = getExternalDatum(d.externalData);
             externalPrediction = getPredictionColorScore(extDatum.siftScore, extDatum.siftPrediction,
                 extDatum.polyphenScore, extDatum.polyphenPrediction);
-            extDatum.siftInUse = false;
-            extDatum.polyphenInUse = false;
+            _.each(d.externalData, function(datum) {
+                datum.siftInUse = false;
+                datum.polyphenInUse = false;
+            });
         }
         var predictionScore = getPredictionColorScore(d.siftScore, d.siftPrediction, d.polyphenScore,
             d.polyphenPrediction);
@@ -98,17 +116,21 @@ var variantsFill = function(d, fv) {
     }
 };
 
-var drawVariants = function(variantViewer, bars, frequency, fv, container, catTitle) {
-    var variantCircle = bars.selectAll('circle')
-        .data(function(d) {
-            return d.variants;
-        });
+var getInternalId = function(d) {
+    var mutation = d.alternativeSequence === '*' ? 'STOP' :
+        d.alternativeSequence;
+    return 'var_' + d.wildType + d.begin + mutation;
+};
 
-    var newCircles = variantCircle.enter().append('circle')
-        .attr('r', function(d) {
-            return frequency(0);
-        });
+var getVariantStroke = function(d, fv) {
+    if (d.externalData) {
+        return fv.config.getExternalSourceInfo(_.keys(d.externalData)[0]).color;
+    } else {
+        return 'none';
+    }
+};
 
+var setVariantAttributes = function(variantViewer, variantCircle, fv) {
     variantCircle
         .attr('class', function(d) {
             if (d === fv.selectedFeature) {
@@ -124,42 +146,165 @@ var drawVariants = function(variantViewer, bars, frequency, fv, container, catTi
             return variantViewer.yScale(d.alternativeSequence.charAt(0));
         })
         .attr('name', function(d) {
-            var mutation = d.alternativeSequence === '*' ? 'STOP' :
-                d.alternativeSequence;
-            d.internalId = 'var_' + d.wildType + d.begin + mutation;
+            d.internalId = getInternalId(d);
             return d.internalId;
         })
         .attr('fill', function(d) {
             return variantsFill(d, fv);
         })
         .attr('stroke', function(d) {
-            if (d.externalData) {
-                return 'black';
-            } else {
-                return 'none';
-            }
+            return getVariantStroke(d, fv);
+        });
+};
+
+var drawVariants = function(variantViewer, bars, frequency, fv, container, catTitle) {
+    var variantCircle = bars.selectAll('circle')
+        .data(function(d) {
+            return d.variants;
         });
 
+    var newCircles = variantCircle.enter().append('circle')
+        .attr('r', function(d) {
+            return frequency(0);
+        });
+
+    setVariantAttributes(variantViewer, variantCircle, fv);
     ViewerHelper.addEventsClassAndTitle(catTitle, newCircles, fv, container);
     variantCircle.exit().remove();
 };
 
-var createDataSeries = function(fv, variantViewer, svg, features, series) {
-    var mainChart = svg.append('g')
-        .attr('transform', 'translate(0,' + variantViewer.margin.top + ')');
+// Entries of the variant data are the residues, with one more before and one after the sequence. Variants past the
+// end of the sequence are drawn on its last residue.
+var getResidueIndex = function(d, fv) {
+    return Math.min(+d.begin, fv.sequence.length);
+};
 
-    var chartArea = mainChart.append('g')
-        .attr('clip-path', 'url(#plotAreaClip)');
+// The variant drawn by the track that is the same as the given one, which can come from unfiltered data
+var findDrawnVariant = function(data, feature, fv) {
+    if (!feature || (feature.type !== 'VARIANT') || !feature.alternativeSequence) {
+        return undefined;
+    }
+    var residue = data[getResidueIndex(feature, fv)];
+    var internalId = getInternalId(feature);
+    return residue ? _.find(residue.variants, function(d) {
+        return getInternalId(d) === internalId;
+    }) : undefined;
+};
 
-    mainChart.append('clipPath')
-        .attr('id', 'plotAreaClip')
-        .append('rect')
-        .attr({ width: (variantViewer.width - 20), height: variantViewer.height })
-        .attr('transform', 'translate(10, -10)');
+// Residues with variants. Zoom and brush gestures draw only the ones in the drawn range, together with the one of the
+// selected variant wherever it is as the highlight follows it.
+var getDrawnResidues = function(data, fv) {
+    var withVariants = function(residue) {
+        return residue.variants.length !== 0;
+    };
+    if (!fv.partialUpdate) {
+        return _.filter(data, withVariants);
+    }
+    var range = ViewerHelper.getDrawnRange(fv);
+    var first = Math.max(0, Math.floor(range.begin)), last = Math.min(data.length - 1, Math.ceil(range.end));
+    var residues = _.filter(data.slice(first, last + 1), withVariants);
+    var selected = findDrawnVariant(data, fv.selectedFeature, fv);
+    var index = selected ? getResidueIndex(selected, fv) : undefined;
+    if ((index !== undefined) && ((index < first) || (index > last))) {
+        residues.push(data[index]);
+    }
+    return residues;
+};
 
-    var dataSeries = chartArea
-        .datum(features)
-        .call(series);
+var getPosition = function(d) {
+    return d.pos;
+};
+
+var isInPlotArea = function(variantViewer, x, y) {
+    return (10 <= x) && (x <= variantViewer.width - 10) && (-10 <= y) && (y <= variantViewer.height - 10);
+};
+
+// Closest variant within its radius of a point of the plot
+var findVariantAt = function(variantViewer, data, fv, x, y) {
+    if (!isInPlotArea(variantViewer, x, y)) {
+        return undefined;
+    }
+    var radius = frequency(0), closest, closestDistance = radius * radius;
+    var first = Math.max(0, Math.floor(variantViewer.xScale.invert(x - radius)));
+    var last = Math.min(data.length - 1, Math.ceil(variantViewer.xScale.invert(x + radius)));
+    _.each(data.slice(first, last + 1), function(residue) {
+        _.each(residue.variants, function(d) {
+            var dx = variantViewer.xScale(getResidueIndex(d, fv)) - x;
+            var dy = variantViewer.yScale(d.alternativeSequence.charAt(0)) - y;
+            if (dx * dx + dy * dy <= closestDistance) {
+                closest = d;
+                closestDistance = dx * dx + dy * dy;
+            }
+        });
+    });
+    return closest;
+};
+
+// The variants under the pointer, selected or revealed are SVG circles, so that selection, tooltips and the active
+// feature outline work as with the SVG renderer. The others are drawn on the canvas.
+var drawMarkers = function(variantViewer, chartArea, fv, container, catTitle) {
+    var data = chartArea.datum();
+    var markers = _.chain([variantViewer.hovered, fv.selectedFeature, variantViewer.revealed])
+        .map(function(feature) {
+            return findDrawnVariant(data, feature, fv);
+        })
+        .compact()
+        .uniq()
+        .value();
+    variantViewer.markerIds = {};
+    _.each(markers, function(d) {
+        variantViewer.markerIds[getInternalId(d)] = true;
+    });
+
+    var variantCircle = chartArea.selectAll('circle.up_pftv_variant')
+        .data(markers, getInternalId);
+    var newCircles = variantCircle.enter().append('circle')
+        .attr('r', frequency(0));
+    setVariantAttributes(variantViewer, variantCircle, fv);
+    ViewerHelper.addEventsClassAndTitle(catTitle, newCircles, fv, container);
+    variantCircle.exit().remove();
+};
+
+// Draws the variants of the displayed residues, one redraw costs the same whatever the number of variants out of view
+var drawCanvas = function(variantViewer, data, fv) {
+    var context = ViewerHelper.clearCanvas(variantViewer.canvas);
+    var domain = variantViewer.xScale.domain();
+    var first = Math.max(0, Math.floor(domain[0]) - 1);
+    var last = Math.min(data.length - 1, Math.ceil(domain[1]) + 1);
+    var radius = frequency(0);
+
+    context.save();
+    context.translate(0, variantViewer.margin.top);
+    context.beginPath();
+    context.rect(10, -10, variantViewer.width - 20, variantViewer.height);
+    context.clip();
+    context.lineWidth = 1;
+    _.each(data.slice(first, last + 1), function(residue) {
+        _.each(residue.variants, function(d) {
+            d.internalId = getInternalId(d);
+            if (variantViewer.markerIds[d.internalId]) {
+                return;
+            }
+            context.beginPath();
+            context.arc(variantViewer.xScale(getResidueIndex(d, fv)),
+                variantViewer.yScale(d.alternativeSequence.charAt(0)), radius, 0, 2 * Math.PI);
+            context.globalAlpha = 0.6;
+            context.fillStyle = variantsFill(d, fv);
+            context.fill();
+            var stroke = getVariantStroke(d, fv);
+            if (stroke !== 'none') {
+                context.globalAlpha = 1;
+                context.strokeStyle = stroke;
+                context.stroke();
+            }
+        });
+    });
+    context.restore();
+};
+
+// Axes on both sides of the plot, drawn again whenever the width changes
+var drawYAxes = function(variantViewer, mainChart) {
+    mainChart.selectAll('.variation-y').remove();
 
     var yAxis = d3.svg.axis()
         .scale(variantViewer.yScale)
@@ -180,9 +325,33 @@ var createDataSeries = function(fv, variantViewer, svg, features, series) {
         .attr('class', 'variation-y axis')
         .call(yAxis2);
 
-    fv.globalContainer.selectAll('g.variation-y g.tick').attr('class', function(d) {
+    mainChart.selectAll('g.variation-y g.tick').attr('class', function(d) {
         return 'tick up_pftv_aa_' + (d === '*' ? 'loss' : (d === 'd') || (d === 'del') ? 'deletion' : d);
     });
+};
+
+var createDataSeries = function(fv, variantViewer, svg, features, series) {
+    var mainChart = svg.append('g')
+        .attr('transform', 'translate(0,' + variantViewer.margin.top + ')');
+
+    var chartArea = mainChart.append('g')
+        .attr('class', 'up_pftv_variant-plot')
+        .attr('clip-path', 'url(#plotAreaClip)');
+
+    mainChart.append('clipPath')
+        .attr('id', 'plotAreaClip')
+        .append('rect')
+        .attr({ width: (variantViewer.width - 20), height: variantViewer.height })
+        .attr('transform', 'translate(10, -10)');
+
+    var dataSeries = chartArea
+        .datum(features);
+    if (!variantViewer.canvas) {
+        dataSeries.call(series);
+    }
+
+    drawYAxes(variantViewer, mainChart);
+    variantViewer.mainChart = mainChart;
 
     return dataSeries;
 };
@@ -207,11 +376,6 @@ var VariantViewer = function(catTitle, features, container, fv, variantHeight, t
         var xScale = d3.scale.ordinal(),
             yScale = d3.scale.linear();
 
-        var frequency = d3.scale.pow()
-            .exponent(0.001)
-            .domain([0, 1])
-            .range([5, 10]);
-
         var variationPlot = function(selection) {
             var series, bars;
 
@@ -219,14 +383,9 @@ var VariantViewer = function(catTitle, features, container, fv, variantHeight, t
                 // Generate chart
                 series = d3.select(this);
 
-                var withVariants = _.filter(data, function(elem) {
-                    return elem.variants.length !== 0;
-                });
-
+                // during gestures the residues far out of view are not drawn
                 bars = series.selectAll('.up_pftv_var-series')
-                    .data(withVariants, function(d) {
-                        return d.pos;
-                    });
+                    .data(getDrawnResidues(data, fv), getPosition);
 
                 bars.enter()
                     .append('g')
@@ -259,16 +418,50 @@ var VariantViewer = function(catTitle, features, container, fv, variantHeight, t
     };
 
     var svg = ViewerHelper.createSVG(container, variantViewer.width, variantViewer.height, fv, 'up_pftv_variants-svg');
+    variantViewer.canvas = fv.variantRenderer === 'canvas'
+        ? ViewerHelper.createCanvas(container, variantViewer.width, variantViewer.height, 'up_pftv_variant-canvas')
+        : undefined;
 
     // Data series
     var series = variationPlot()
         .xScale(variantViewer.xScale)
         .yScale(variantViewer.yScale);
 
-    var dataSeries = createDataSeries(fv, variantViewer, svg, features, series);
+    var dataSeries = createDataSeries(fv, variantViewer, svg, variantViewer.filter.apply(features), series);
+
+    var draw = function() {
+        if (variantViewer.canvas) {
+            drawMarkers(variantViewer, dataSeries, fv, container, catTitle);
+            drawCanvas(variantViewer, dataSeries.datum(), fv);
+        } else {
+            dataSeries.call(series);
+        }
+    };
+
+    if (variantViewer.canvas) {
+        draw();
+        // hit-testing moves an SVG circle under the pointer, which then gets the events of the SVG renderer
+        svg.on('mousemove.canvas', function() {
+                var point = d3.mouse(dataSeries.node());
+                var hovered = findVariantAt(variantViewer, dataSeries.datum(), fv, point[0], point[1]);
+                if (hovered !== variantViewer.hovered) {
+                    variantViewer.hovered = hovered;
+                    fv.overFeature = hovered !== undefined;
+                    draw();
+                }
+            })
+            .on('mouseleave.canvas', function() {
+                if (variantViewer.hovered) {
+                    variantViewer.hovered = undefined;
+                    fv.overFeature = false;
+                    draw();
+                }
+            })
+            .on('click.canvas', draw);
+    }
 
     this.update = function() {
-        dataSeries.call(series);
+        draw();
         if (fv.selectedFeature) {
             ViewerHelper.updateHighlight(fv);
         } else if (fv.highlight) {
@@ -276,6 +469,39 @@ var VariantViewer = function(catTitle, features, container, fv, variantHeight, t
         }
     };
 
+    this.resize = function() {
+        variantViewer.width = fv.width;
+        svg.attr('width', variantViewer.width);
+        variantViewer.mainChart.select('clipPath rect').attr('width', variantViewer.width - 20);
+        drawYAxes(variantViewer, variantViewer.mainChart);
+        if (variantViewer.canvas) {
+            ViewerHelper.resizeCanvas(variantViewer.canvas, variantViewer.width, variantViewer.height);
+        }
+        this.update();
+    };
+
+    // Draws the variant as an SVG circle so that it can be looked up by name, as when it is selected
+    this.reveal = function(feature) {
+        if (!variantViewer.canvas || !findDrawnVariant(dataSeries.datum(), feature, fv)) {
+            return false;
+        }
+        feature.internalId = getInternalId(feature);
+        variantViewer.revealed = feature;
+        draw();
+        return true;
+    };
+
+    // SVG of the track with a circle per variant, whatever the renderer
+    this.exportSVG = function() {
+        var copy = d3.select(svg.node().cloneNode(true));
+        if (variantViewer.canvas) {
+            var plot = copy.select('.up_pftv_variant-plot');
+            plot.selectAll('circle.up_pftv_variant').remove();
+            plot.datum(dataSeries.datum()).call(series);
+        }
+        return copy.node();
+    };
+
     this.updateData = function(data) {
         dataSeries.datum(data);
         this.update();
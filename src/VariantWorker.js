@@ -0,0 +1,206 @@
+/*jslint node: true */
+/*jshint laxbreak: true */
+"use strict";
+
+var $ = require('jquery');
+var _ = require('underscore');
+var VariantProcessing = require('./VariantProcessing');
+
+// Runs in the worker, after VariantProcessing has been evaluated there. scope is the global scope of the worker.
+var workerMain = function(scope) {
+    // parsed payloads stay here until they are processed, taken back or released, the oldest ones beyond the limit
+    // are dropped
+    var payloads = {}, payloadIds = [], maxPayloads = 8;
+
+    var keep = function(id, payload) {
+        payloads[id] = payload;
+        payloadIds.push(id);
+        if (payloadIds.length > maxPayloads) {
+            delete payloads[payloadIds.shift()];
+        }
+    };
+
+    var take = function(id) {
+        var payload = payloads[id];
+        if (!payload) {
+            throw new Error('The payload is no longer available');
+        }
+        delete payloads[id];
+        payloadIds.splice(payloadIds.indexOf(id), 1);
+        return payload;
+    };
+
+    var index = function(request, variants) {
+        return VariantProcessing.indexVariants(variants, request.sequence, request.source, request.external,
+            request.evidenceAlreadyGrouped, function(progress) {
+                scope.postMessage({id: request.id, progress: progress});
+            });
+    };
+
+    var actions = {
+        // Variants given by the page
+        variants: function(request) {
+            return index(request, request.variants);
+        },
+        // Response text, or inline payload, of a source. Only what the page needs to check the sequence is sent back.
+        parse: function(request) {
+            var payload = request.text !== undefined ? JSON.parse(request.text) : request.payload;
+            // as the default adapter does
+            payload = payload instanceof Array ? payload[0] : payload;
+            payload = payload ? payload : {};
+            keep(request.id, payload);
+            var features = payload.features ? payload.features : [];
+            return {
+                accession: payload.accession,
+                sequence: payload.sequence,
+                sequenceChecksum: payload.sequenceChecksum,
+                sequenceLength: payload.sequenceLength,
+                featureCount: features.length,
+                variants: (features.length !== 0) && (features[0].type === 'VARIANT')
+                    && (features[0].category === undefined)
+            };
+        },
+        // Validates and indexes the variants of a parsed payload
+        process: function(request) {
+            var validation = VariantProcessing.validateFeatures(take(request.payload).features,
+                request.validationSequence, request.trackTypes);
+            var indexed = index(request, validation.features);
+            indexed.issues = validation.issues;
+            indexed.featureCount = validation.features.length;
+            return indexed;
+        },
+        take: function(request) {
+            return take(request.payload);
+        },
+        release: function(request) {
+            if (payloads[request.payload]) {
+                take(request.payload);
+            }
+        }
+    };
+
+    scope.onmessage = function(event) {
+        var request = event.data;
+        try {
+            var result = actions[request.action](request);
+            // residue indexes are moved rather than copied
+            scope.postMessage({id: request.id, result: result}, result && result.residues
+                ? [result.residues.buffer] : []);
+        } catch (e) {
+            scope.postMessage({id: request.id, error: e.message});
+        }
+    };
+};
+
+var script = '"use strict";\nvar VariantProcessing = ' + VariantProcessing.script + ';\n('
+    + workerMain.toString() + ')(this);';
+
+var worker, requests = {}, requestCount = 0;
+
+var isSupported = function() {
+    return (typeof Worker !== 'undefined') && (typeof Blob !== 'undefined') && (typeof URL !== 'undefined')
+        && (typeof URL.createObjectURL === 'function');
+};
+
+var onMessage = function(event) {
+    var message = event.data;
+    var request = requests[message.id];
+    if (!request) {
+        return;
+    }
+    if (message.progress !== undefined) {
+        request.notify(message.progress);
+    } else {
+        delete requests[message.id];
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+};
+
+// A worker that fails to start, e.g. because of a content security policy, is not used again
+var onError = function(event) {
+    var pending = requests;
+    requests = {};
+    worker.terminate();
+    worker = null;
+    _.each(pending, function(request) {
+        request.reject(new Error(event.message ? event.message : 'The variant worker failed'));
+    });
+};
+
+// The worker is shared by every viewer of the page and created on first use
+var getWorker = function() {
+    if (worker === undefined) {
+        try {
+            worker = new Worker(URL.createObjectURL(new Blob([script], {type: 'application/javascript'})));
+            worker.onmessage = onMessage;
+            worker.onerror = onError;
+        } catch (e) {
+            worker = null;
+        }
+    }
+    return worker;
+};
+
+// Sends a request to the worker, the promise is rejected when no worker can be used
+var send = function(message) {
+    var request = $.Deferred();
+    if (!isSupported() || !getWorker()) {
+        return request.reject(new Error('Workers are not available')).promise();
+    }
+    var id = ++requestCount;
+    requests[id] = request;
+    try {
+        worker.postMessage(_.extend({id: id}, message));
+    } catch (e) {
+        // payloads that cannot be cloned, with functions for instance
+        delete requests[id];
+        request.reject(e);
+    }
+    return message.action !== 'parse' ? request.promise() : request.promise().then(function(result) {
+        return _.extend(result, {workerPayload: id});
+    });
+};
+
+var VariantWorker = function() {
+    return {
+        isSupported: function() {
+            return isSupported() && (worker !== null);
+        },
+        // Processes variants as VariantProcessing.indexVariants does, in a worker. The promise is notified of the
+        // share of variants processed and resolved with the variants, their residue indexes and the consequence
+        // types.
+        processVariants: function(variants, sequence, source, external, evidenceAlreadyGrouped) {
+            return send({action: 'variants', variants: variants, sequence: sequence, source: source,
+                external: external, evidenceAlreadyGrouped: evidenceAlreadyGrouped});
+        },
+        // Parses a response text, or clones an inline payload, into the worker where it is kept. Resolves with its
+        // accession, sequence, sequenceChecksum, sequenceLength and featureCount, with variants telling whether it
+        // holds variants and with workerPayload, the handle of the payload in the worker.
+        parsePayload: function(raw) {
+            return send(_.isString(raw) ? {action: 'parse', text: raw} : {action: 'parse', payload: raw});
+        },
+        // Validates the features of a parsed payload against validationSequence and indexes them as processVariants
+        // does. The issues found and the number of valid features are resolved too.
+        processPayload: function(payload, sequence, validationSequence, trackTypes, source, external) {
+            return send({action: 'process', payload: payload, sequence: sequence,
+                validationSequence: validationSequence, trackTypes: trackTypes, source: source, external: external,
+                evidenceAlreadyGrouped: false});
+        },
+        // Brings a parsed payload back to the page
+        takePayload: function(payload) {
+            return send({action: 'take', payload: payload});
+        },
+        releasePayload: function(payload) {
+            send({action: 'release', payload: payload});
+        }
+    };
+}();
+
+// the source run by the worker
+VariantWorker.script = script;
+
+module.exports = VariantWorker;
@@ -0,0 +1,151 @@
+/*jslint node: true */
+/*jshint laxbreak: true */
+"use strict";
+
+var _ = require('underscore');
+
+var proteinConsequences = ['missense_variant', 'stop_gained', 'stop_lost', 'start_lost', 'inframe_insertion',
+    'inframe_deletion', 'protein_altering_variant'];
+
+// Values are percent-encoded, malformed escapes are kept as they are
+var decode = function(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+};
+
+var getCsqFormat = function(lines) {
+    var header = _.find(lines, function(line) {
+        return line.indexOf('##INFO=<ID=CSQ') === 0;
+    });
+    if (!header) {
+        return undefined;
+    }
+    var format = header.match(/Format: ([^">]+)/);
+    return format ? format[1].trim().split('|') : undefined;
+};
+
+var parseInfo = function(column) {
+    var info = {};
+    _.each(column.split(';'), function(pair) {
+        var index = pair.indexOf('=');
+        if (index === -1) {
+            info[pair] = true;
+        } else {
+            info[pair.substring(0, index)] = pair.substring(index + 1);
+        }
+    });
+    return info;
+};
+
+// VEP predictions look like deleterious(0.01) or probably_damaging(0.998)
+var parsePrediction = function(value) {
+    var match = value ? value.match(/^([^(]+)\(([\d.]+)\)$/) : null;
+    return match ? {prediction: match[1].replace(/_/g, ' '), score: +match[2]} : undefined;
+};
+
+var withoutVersion = function(id) {
+    return id ? id.split('.')[0] : id;
+};
+
+var matchesProtein = function(csq, source, accession) {
+    if (source.transcript) {
+        return withoutVersion(csq.Feature) === withoutVersion(source.transcript);
+    }
+    if (!accession) {
+        return true;
+    }
+    if (csq.UNIPROT_ISOFORM) {
+        return (csq.UNIPROT_ISOFORM === accession) || (csq.UNIPROT_ISOFORM === accession + '-1');
+    }
+    return _.some((csq.SWISSPROT ? csq.SWISSPROT : '').split('&'), function(swissProt) {
+        return withoutVersion(swissProt) === accession;
+    });
+};
+
+var isProteinChange = function(csq) {
+    var consequences = csq.Consequence ? csq.Consequence.split('&') : [];
+    return csq.Protein_position && csq.Amino_acids && (csq.Amino_acids.indexOf('/') !== -1) &&
+        _.some(consequences, function(consequence) {
+            return _.contains(proteinConsequences, consequence);
+        });
+};
+
+var createVariant = function(columns, csq) {
+    var positions = csq.Protein_position.split('-');
+    var aminoAcids = csq.Amino_acids.split('/');
+    var alternative = aminoAcids[1] === '-' ? 'del' : aminoAcids[1];
+    var consequence = _.find(csq.Consequence.split('&'), function(consequence) {
+        return _.contains(proteinConsequences, consequence);
+    });
+    var variant = {
+        type: 'VARIANT',
+        begin: +positions[0],
+        end: (positions[1] && (positions[1] !== '?')) ? +positions[1] : +positions[0],
+        wildType: aminoAcids[0] === '-' ? undefined : aminoAcids[0],
+        alternativeSequence: alternative,
+        consequence: consequence.replace(/_/g, ' '),
+        genomicLocation: columns[0] + ':g.' + columns[1] + columns[3] + '>' + columns[4]
+    };
+    var sift = parsePrediction(csq.SIFT);
+    if (sift) {
+        variant.siftPrediction = sift.prediction;
+        variant.siftScore = sift.score;
+    }
+    var polyphen = parsePrediction(csq.PolyPhen);
+    if (polyphen) {
+        variant.polyphenPrediction = polyphen.prediction;
+        variant.polyphenScore = polyphen.score;
+    }
+    if (csq.Feature) {
+        variant.description = csq.Feature + (csq.HGVSp ? ' ' + decode(csq.HGVSp) : '');
+    }
+    if (columns[2] && (columns[2] !== '.')) {
+        variant.xrefs = _.map(columns[2].split(';'), function(id) {
+            return id.indexOf('rs') === 0
+                ? {name: 'dbSNP', id: id, url: 'http://www.ncbi.nlm.nih.gov/SNP/snp_ref.cgi?type=rs&rs=' + id}
+                : {name: 'VCF', id: id};
+        });
+    }
+    return variant;
+};
+
+var VcfAdapter = function() {
+    return {
+        dataType: 'text',
+        parse: function(raw, source, context) {
+            source = source ? source : {};
+            var accession = context ? context.accession : undefined;
+            var lines = raw.split(/\r?\n/);
+            var format = getCsqFormat(lines);
+            if (!format) {
+                throw new Error('The VCF file does not provide VEP CSQ annotations');
+            }
+            var variants = [];
+            _.each(lines, function(line) {
+                if ((line.trim().length === 0) || (line.charAt(0) === '#')) {
+                    return;
+                }
+                var columns = line.split('\t');
+                var info = parseInfo(columns[7] ? columns[7] : '');
+                if (!info.CSQ) {
+                    return;
+                }
+                var added = {};
+                _.each(info.CSQ.split(','), function(entry) {
+                    var values = entry.split('|');
+                    var csq = _.object(format, values);
+                    if (!added[csq.Allele] && isProteinChange(csq) && matchesProtein(csq, source, accession)) {
+                        variants.push(createVariant(columns, csq));
+                        added[csq.Allele] = true;
+                    }
+                });
+            });
+            return {accession: accession, features: variants};
+        }
+    };
+}();
+
+module.exports = VcfAdapter;
@@ -0,0 +1,170 @@
+/*jslint node: true */
+/*jshint laxbreak: true */
+"use strict";
+
+var _ = require('underscore');
+
+var visualizationTypes = {
+    basic: 'basic',
+    variant: 'variant'
+};
+
+var copy = function(value) {
+    return JSON.parse(JSON.stringify(value));
+};
+
+var convertNameToLabel = function(name) {
+    var label = name.replace(/_/g, ' ');
+    label = label.charAt(0).toUpperCase() + label.slice(1).toLowerCase();
+    return label;
+};
+
+// Sources, categories, track names and consequence types used by one viewer. Each FeaturesViewer gets its own copy
+// of the defaults so that configuring one viewer does not affect any other viewer in the page.
+var ViewerConfig = function(defaults) {
+    var config = this;
+    config.sources = defaults.sources ? defaults.sources.slice(0) : [];
+    config.externalSources = defaults.externalSources ? defaults.externalSources.slice(0) : [];
+    config.categories = defaults.categories ? copy(defaults.categories) : [];
+    config.trackNames = defaults.trackNames ? copy(defaults.trackNames) : {};
+    config.consequenceTypes = [];
+};
+
+ViewerConfig.visualizationTypes = visualizationTypes;
+ViewerConfig.convertNameToLabel = convertNameToLabel;
+
+ViewerConfig.prototype.getDataSources = function() {
+    return this.sources;
+};
+
+ViewerConfig.prototype.addSource = function(source) {
+    this.sources.push(source);
+    this.externalSources.push(source);
+};
+
+ViewerConfig.prototype.removeSource = function(source) {
+    this.sources = _.without(this.sources, source);
+    this.externalSources = _.without(this.externalSources, source);
+};
+
+ViewerConfig.prototype.clearDataSources = function() {
+    this.sources = [];
+};
+
+ViewerConfig.prototype.setDataSources = function(sources, externalSources) {
+    this.sources = sources.slice(0);
+    this.externalSources = externalSources.slice(0);
+};
+
+ViewerConfig.prototype.getExternalDataSource = function() {
+    return _.last(this.externalSources);
+};
+
+ViewerConfig.prototype.getExternalDataSources = function() {
+    return this.externalSources;
+};
+
+ViewerConfig.prototype.getExternalSourceInfo = function(sourceName) {
+    var source = _.find(this.externalSources, function(external) {
+        return external.source === sourceName;
+    });
+    return {
+        label: source && source.label ? source.label : sourceName,
+        color: source && source.color ? source.color : 'black'
+    };
+};
+
+ViewerConfig.prototype.addConsequenceType = function(consequence) {
+    this.consequenceTypes.push(consequence);
+};
+
+ViewerConfig.prototype.getConsequenceTypes = function() {
+    return _.uniq(this.consequenceTypes);
+};
+
+ViewerConfig.prototype.getCategoryNamesInOrder = function() {
+    return this.categories;
+};
+
+ViewerConfig.prototype.setCategoryNamesInOrder = function(categories) {
+    this.categories = categories;
+};
+
+ViewerConfig.prototype.setOrderForCategoryNames = function(categoryNames) {
+    var config = this;
+    var orderedCategories = [];
+    _.each(categoryNames, function(name) {
+        var position = 0;
+        var category = _.find(config.categories, function(cat, index) {
+            position = index;
+            return cat.name.toUpperCase() === name.toUpperCase();
+        });
+        if (category) {
+            orderedCategories.push(category);
+            config.categories.splice(position, 1);
+        }
+    });
+    config.categories = orderedCategories.concat(config.categories);
+};
+
+ViewerConfig.prototype.getCategoryInfo = function(categoryName) {
+    var exist = _.find(this.categories, function(cat) {
+        return cat.name === categoryName;
+    });
+    return exist ? exist
+        : {name: categoryName, label: convertNameToLabel(categoryName),
+        visualizationType: visualizationTypes.basic};
+};
+
+ViewerConfig.prototype.addCategories = function(categories) {
+    var config = this;
+    var index = 0;
+    _.each(categories, function (newCat) {
+        var exist = _.find(config.categories, function(cat) {
+            return cat.name === newCat.name;
+        });
+        if (exist) {
+            exist.label = newCat.label;
+            exist.visualizationType = newCat.visualizationType;
+        } else {
+            config.categories.splice(index, 0, newCat);
+            index++;
+        }
+    });
+};
+
+ViewerConfig.prototype.getTrackNames = function() {
+    return this.trackNames;
+};
+
+ViewerConfig.prototype.setTrackNames = function(trackNames) {
+    this.trackNames = trackNames;
+};
+
+ViewerConfig.prototype.addTrackTypes = function(tracksToAdd) {
+    var config = this;
+    _.each(tracksToAdd, function(elem, key) {
+        key = key.toLowerCase();
+        config.trackNames[key] = elem;
+    });
+};
+
+ViewerConfig.prototype.getTrackType = function(name) {
+    var config = this;
+    var key = name.toLowerCase();
+    if (!config.trackNames[key]) {
+        var byLabel = _.find(_.keys(config.trackNames), function(trackKey) {
+            return config.trackNames[trackKey].label.toLowerCase() === key;
+        });
+        key = byLabel ? byLabel : key.replace(/[\s\-]+/g, '_');
+    }
+    return key.toUpperCase();
+};
+
+ViewerConfig.prototype.getTrackInfo = function(trackName) {
+    var name = trackName.toLowerCase();
+    return this.trackNames[name] ? this.trackNames[name]
+        : {label: convertNameToLabel(name), tooltip:''};
+};
+
+module.exports = ViewerConfig;
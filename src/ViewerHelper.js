@@ -46,6 +46,55 @@ var ViewerHelper = function () {
     };
 }();
 
+// Canvas laid over an SVG of the same size, events go through it to the SVG. Undefined where canvas cannot be used.
+ViewerHelper.createCanvas = function (container, width, height, clazz) {
+    var canvas = container.append('canvas')
+        .attr('class', clazz);
+    var node = canvas.node();
+    if (!node.getContext || !node.getContext('2d')) {
+        canvas.remove();
+        return undefined;
+    }
+    this.resizeCanvas(canvas, width, height);
+    return canvas;
+};
+
+// The backing store follows the pixel density of the screen so that drawings stay sharp
+ViewerHelper.resizeCanvas = function (canvas, width, height) {
+    var view = canvas.node().ownerDocument.defaultView;
+    var ratio = view && view.devicePixelRatio ? view.devicePixelRatio : 1;
+    canvas.property('pixelRatio', ratio)
+        .attr('width', Math.round(width * ratio))
+        .attr('height', Math.round(height * ratio))
+        .style('width', width + 'px')
+        .style('height', height + 'px');
+};
+
+// Context of a canvas made by createCanvas, cleared and scaled to CSS pixels
+ViewerHelper.clearCanvas = function (canvas) {
+    var node = canvas.node(), context = node.getContext('2d');
+    var ratio = canvas.property('pixelRatio');
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, node.width, node.height);
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    return context;
+};
+
+// Positions worth drawing at the current zoom: the displayed domain and a margin on both sides, so that panning a
+// little does not bring in features that were not drawn
+ViewerHelper.getDrawnRange = function (fv) {
+    var domain = fv.xScale.domain();
+    var margin = 1 + ((domain[1] - domain[0]) / 4);
+    return { begin: domain[0] - margin, end: domain[1] + margin };
+};
+
+// Identifiers are never reused within a viewer, even once the features holding them have been removed
+ViewerHelper.createInternalId = function (fv, prefix) {
+    fv.internalIds = fv.internalIds ? fv.internalIds : {};
+    fv.internalIds[prefix] = fv.internalIds[prefix] !== undefined ? fv.internalIds[prefix] + 1 : 0;
+    return prefix + '_' + fv.internalIds[prefix];
+};
+
 ViewerHelper.highlightPath = function (feature, fv, height) {
     var aaWidth = fv.xScale(2) - fv.xScale(1);
     var gapRegion = aaWidth / 2;
@@ -0,0 +1,72 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+var ViewerFixture = require('./ViewerFixture');
+var assert = ViewerFixture.assert;
+
+var _ = require('underscore');
+
+describe('FeaturesViewerCanvasTest', function() {
+    var variants = {
+        id: 'lab-variants',
+        source: 'myLab',
+        data: {
+            accession: 'P05067',
+            features: [
+                {type: 'VARIANT', category: 'VARIATION', begin: '10', end: '10', alternativeSequence: 'K'},
+                {type: 'VARIANT', category: 'VARIATION', begin: '10', end: '10', alternativeSequence: 'W'},
+                {type: 'VARIANT', category: 'VARIATION', begin: '300', end: '300', alternativeSequence: 'D'}
+            ]
+        }
+    };
+
+    var createViewer = function() {
+        return ViewerFixture.createViewer({variantRenderer: 'canvas'});
+    };
+
+    var getVariation = function(instance) {
+        return _.findWhere(instance.categories, {name: 'VARIATION'});
+    };
+
+    it('should draw variants on a canvas', function() {
+        var instance = createViewer();
+        return instance.addSource(variants).then(function() {
+            var category = getVariation(instance);
+            assert.equal(category.viewerContainer.selectAll('canvas').size(), 1, 'category canvas');
+            assert.equal(category.tracksContainer.selectAll('canvas').size(), 1, 'track canvas');
+            assert.equal(category.tracksContainer.selectAll('circle.up_pftv_variant').size(), 0, 'no circle');
+            instance.destroy();
+        });
+    });
+
+    it('should select a variant drawn on the canvas', function() {
+        var instance = createViewer();
+        return instance.addSource(variants).then(function() {
+            var feature = instance.selectFeature({type: 'VARIANT', begin: 300, end: 300, alternativeSequence: 'D'});
+            assert.equal(instance.selectedFeature, feature, 'variant selected');
+            var circle = document.querySelector('[name="' + feature.internalId + '"]');
+            assert.equal(circle.tagName.toLowerCase(), 'circle', 'selected variant drawn as SVG');
+            assert.equal(circle.getAttribute('class'), 'up_pftv_variant up_pftv_activeFeature', 'active feature');
+            assert.equal(document.querySelectorAll('.up_pftv_tooltip-container').length, 1, 'tooltip');
+            instance.destroy();
+        });
+    });
+
+    it('should export every variant as SVG', function() {
+        var instance = createViewer();
+        return instance.addSource(variants).then(function() {
+            var svgs = instance.exportSVG('VARIATION');
+            assert.equal(svgs.length, 2, 'category viewer and track');
+            assert.equal(svgs[0].querySelectorAll('.up_pftv_line').length, 1, 'variant count line');
+            assert.equal(svgs[1].querySelectorAll('circle.up_pftv_variant').length, 3, 'one circle per variant');
+            assert.equal(getVariation(instance).tracksContainer.selectAll('circle.up_pftv_variant').size(), 0,
+                'page unchanged');
+            instance.destroy();
+        });
+    });
+});
@@ -0,0 +1,75 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+var ViewerFixture = require('./ViewerFixture');
+var assert = ViewerFixture.assert;
+var yourDiv = ViewerFixture.yourDiv;
+
+var FeaturesViewer = require('../..');
+var jQuery = require('jquery');
+
+describe('FeaturesViewerCustomSequenceTest', function() {
+    var sequence = 'MLPGLALLLLAAWTARALEVPTDGNAGLLAEPQIAMFCGRLNMHMNVQNGKWDSDPSGTKTCIDTKEGILQYCQEVYPELQITNVVEANQPVTIQNWCKRG';
+
+    before(function() {
+        ViewerFixture.stubSources();
+    });
+
+    after(function() {
+        ViewerFixture.restoreSources();
+    });
+
+    it('should draw features on a sequence without accession', function() {
+        var instance = new FeaturesViewer({
+            el: yourDiv,
+            sequence: sequence,
+            sequenceName: 'my_construct',
+            data: {
+                features: [
+                    {type: 'DOMAIN', category: 'DOMAINS_AND_SITES', begin: '10', end: '40', description: 'Designed'}
+                ]
+            }
+        });
+
+        return instance.loaded.then(function(summaries) {
+            assert.equal(jQuery.getJSON.callCount, 0, 'no UniProt source requested');
+            assert.equal(summaries.length, 1, 'only the inline source');
+            assert.equal(instance.sequence, sequence, 'custom sequence displayed');
+            assert.equal(instance.defaultSource, false, 'UniProt filters are not used');
+            assert.equal(document.querySelectorAll('.up_pftv_navruler').length, 1, 'nav-ruler');
+            assert.equal(document.querySelectorAll('.up_pftv_aaviewer').length, 2, 'both sequence viewers');
+            assert.equal(instance.data[0][0], 'DOMAINS_AND_SITES', 'features drawn');
+            instance.destroy();
+        });
+    });
+
+    it('should display the sequence alone when there is no source', function() {
+        var instance = new FeaturesViewer({el: yourDiv, sequence: sequence});
+
+        return instance.loaded.then(function() {
+            assert.equal(document.querySelectorAll('.up_pftv_navruler').length, 1, 'nav-ruler');
+            assert.equal(document.querySelectorAll('.up_pftv_message').length, 0, 'no error message');
+            instance.destroy();
+        });
+    });
+
+    it('should load the UniProt sources again after setAccession', function() {
+        var instance = new FeaturesViewer({el: yourDiv, sequence: sequence});
+
+        return instance.loaded.then(function() {
+            instance.setAccession('P05067');
+            return instance.loaded;
+        }).then(function(summaries) {
+            assert.equal(jQuery.getJSON.lastCall.args[0], 'http://my/features/P05067', 'UniProt source requested');
+            assert.equal(summaries.length, 1, 'UniProt source loaded');
+            assert.equal(instance.defaultSource, true, 'UniProt filters are used');
+            assert.notEqual(instance.sequence, sequence, 'sequence of the accession displayed');
+            instance.destroy();
+        });
+    });
+});
@@ -52,6 +52,17 @@ var verifyHighlightAttributes = function(containerClass, path, exactPath, transl
      }
 };
 
+// The nav ruler takes the width of the tracks, which follows the host element, but for a padding of 10 on each side
+var getNavRulerWidth = function() {
+    return +document.querySelector('#up_pftv_svg-navruler').getAttribute('width');
+};
+
+// Trapezoid joining the extent, ending at extentEnd, to the whole width of the tracks
+var getTrapezoidPath = function(extentEnd) {
+    var width = getNavRulerWidth();
+    return 'M0,50L0,48L10,28L10,40L' + extentEnd + ',40L' + extentEnd + ',28L' + width + ',48L' + width + ',50Z';
+};
+
 var verifyViewPortAttributes = function(verifyInitialX, verifyFullWidth, fullPath, opacity) {
     var extent = document.querySelector('.up_pftv_navruler .extent');
 
@@ -59,7 +70,8 @@ var verifyViewPortAttributes = function(verifyInitialX, verifyFullWidth, fullPat
         assert.equal(extent.getAttribute('x'), 10, 'navRuler.extent initial position');
     }
     if (verifyFullWidth) {
-        assert.equal(extent.getAttribute('width'), 740, 'extent covers all width after zooming out');
+        assert.equal(+extent.getAttribute('width'), getNavRulerWidth() - 20,
+            'extent covers all width after zooming out');
     } else {
         expect(extent.getAttribute('width')).to.be.above(0);
     }
@@ -77,6 +89,11 @@ describe('FeaturesViewerFlowTest', function() {
     var instance, data, aaWidth, gapRegion,
         firstMetalPosition = 9;
 
+    // once zoomed in, the extent ends at position 31
+    var getZoomedExtentEnd = function() {
+        return d3.scale.linear().domain([1, instance.maxPos]).range([10, getNavRulerWidth() - 10])(31);
+    };
+
     var flushAllD3Transitions = function() {
         var now = Date.now;
         Date.now = function() { return Infinity; };
@@ -149,7 +166,7 @@ describe('FeaturesViewerFlowTest', function() {
 
             var extent = document.querySelector('.up_pftv_navruler .extent');
             assert.equal(extent.getAttribute('x'), 10, 'navRuler.extent initial position');
-            expect(+extent.getAttribute('width')).to.be.closeTo(740, 1);
+            expect(+extent.getAttribute('width')).to.be.closeTo(getNavRulerWidth() - 20, 1);
         });
 
         it('should create 1 up_pftv_buttons with 4 children', function() {
@@ -480,8 +497,7 @@ describe('FeaturesViewerFlowTest', function() {
             assert.equal(path.getAttribute('transform'), 'translate(' + instance.xScale(+feature.begin) + ',5)'
                 , 'translated metal');
 
-            verifyViewPortAttributes(true, false,
-                'M0,50L0,48L10,28L10,40L38.86866059817945,40L38.86866059817945,28L760,48L760,50Z', 1);
+            verifyViewPortAttributes(true, false, getTrapezoidPath(getZoomedExtentEnd()), 1);
         });
 
         it('should display only zoom-out button', function() {
@@ -512,7 +528,7 @@ describe('FeaturesViewerFlowTest', function() {
             zoomOutButton.dispatchEvent(outEvent); //zoom out
             flushAllD3Transitions();
 
-            verifyViewPortAttributes(false, true, 'M0,50L0,48L10,28L10,40L750,40L750,28L760,48L760,50Z', 0);
+            verifyViewPortAttributes(false, true, getTrapezoidPath(getNavRulerWidth() - 10), 0);
         });
 
         it('should keep selection after zooming-out', function() {
@@ -563,8 +579,7 @@ describe('FeaturesViewerFlowTest', function() {
             zoomInButton.dispatchEvent(inEvent); //zoom in
             flushAllD3Transitions();
 
-            verifyViewPortAttributes(false, false,
-                'M0,50L0,48L10,28L10,40L38.86866059817945,40L38.86866059817945,28L760,48L760,50Z', 1);
+            verifyViewPortAttributes(false, false, getTrapezoidPath(getZoomedExtentEnd()), 1);
         });
     });
 
@@ -0,0 +1,64 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+var sinon = require('sinon');
+var ViewerFixture = require('./ViewerFixture');
+var assert = ViewerFixture.assert;
+
+var FeaturesData = require('./FeaturesData');
+var jQuery = require('jquery');
+
+describe('FeaturesViewerInlineDataTest', function() {
+    before(function() {
+        sinon.spy(jQuery, 'getJSON');
+    });
+
+    after(function() {
+        jQuery.getJSON.restore();
+    });
+
+    it('should draw inline data without retrieving any source', function() {
+        // other tests load the shared data, which is then processed in place
+        var data = ViewerFixture.copyFeatures();
+        data.features[0].evidences = [{code: 'ECO:0000269'}];
+        var instance = ViewerFixture.createViewer({data: data});
+
+        return ViewerFixture.nextEvent(instance, 'ready').then(function() {
+            assert.equal(jQuery.getJSON.callCount, 0, 'no request sent');
+            assert.equal(instance.sequence, FeaturesData.features.sequence, 'sequence from inline data');
+
+            var children = document.querySelectorAll('.up_pftv_category-container .up_pftv_category');
+            assert.equal(children.length, instance.data.length, 'category count');
+            assert.equal(data.features[0].evidences instanceof Array, true, 'inline payload is not modified');
+            instance.destroy();
+        });
+    });
+
+    it('should replace the displayed data with setData', function() {
+        var instance = ViewerFixture.createViewer();
+        var onlyDomains = {
+            accession: FeaturesData.features.accession,
+            sequence: FeaturesData.features.sequence,
+            features: FeaturesData.features.features.filter(function(ft) {
+                return ft.category === 'DOMAINS_AND_SITES';
+            })
+        };
+
+        return ViewerFixture.nextEvent(instance, 'ready').then(function() {
+            var ready = ViewerFixture.nextEvent(instance, 'ready');
+            instance.setData({source: 'uniprot', data: onlyDomains});
+            return ready;
+        }).then(function() {
+            var children = document.querySelectorAll('.up_pftv_category-container .up_pftv_category');
+            assert.equal(children.length, 1, 'category count');
+            assert.equal(instance.data[0][0], 'DOMAINS_AND_SITES', 'only domains are displayed');
+            assert.equal(document.querySelectorAll('.up_pftv_navruler').length, 1, 'only one nav-ruler');
+            instance.destroy();
+        });
+    });
+});
@@ -0,0 +1,87 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+var ViewerFixture = require('./ViewerFixture');
+var assert = ViewerFixture.assert;
+var yourDiv = ViewerFixture.yourDiv;
+
+var FeaturesViewer = require('../..');
+var FeaturesData = require('./FeaturesData');
+var jQuery = require('jquery');
+
+describe('FeaturesViewerIsoformTest', function() {
+    // APP695 lacks the residues 289 to 364 of the canonical sequence
+    var canonicalSequence = FeaturesData.features.sequence;
+    var isoforms = [
+        {accession: 'P05067', name: 'APP770'},
+        {accession: 'P05067-4', name: 'APP695',
+            sequence: canonicalSequence.substring(0, 288) + canonicalSequence.substring(364)}
+    ];
+
+    before(function() {
+        ViewerFixture.stubSources(undefined, function(deferred, url) {
+            // there is no annotation for the isoform, and the isoform list cannot be retrieved
+            return (url.indexOf('-4') !== -1) || (url.indexOf('/isoforms') !== -1)
+                ? deferred.reject({status: 404, statusText: 'Not Found'})
+                : deferred.resolve(ViewerFixture.copyFeatures());
+        });
+    });
+
+    after(function() {
+        ViewerFixture.restoreSources();
+    });
+
+    it('should list the isoforms in the header', function() {
+        var instance = new FeaturesViewer({el: yourDiv, uniprotacc: 'P05067', isoforms: isoforms});
+        return instance.loaded.then(function() {
+            var options = document.querySelectorAll('.up_pftv_buttons .up_pftv_isoform-selector option');
+            assert.equal(options.length, 2, 'one option per isoform');
+            assert.equal(options[0].selected, true, 'canonical selected');
+            assert.equal(options[1].textContent, 'P05067-4 (APP695)', 'isoform label');
+            instance.destroy();
+        });
+    });
+
+    it('should tell when the isoforms cannot be retrieved', function() {
+        var instance = new FeaturesViewer({el: yourDiv, uniprotacc: 'P05067', isoforms: true});
+        return ViewerFixture.nextEvent(instance, 'isoformsFailed').then(function(failure) {
+            assert.equal(failure.accession, 'P05067', 'entry');
+            assert.equal(failure.url, 'https://www.ebi.ac.uk/proteins/api/proteins/P05067/isoforms', 'list URL');
+            assert.equal(failure.error, '404 Not Found', 'error');
+            return instance.loaded;
+        }).then(function() {
+            assert.equal(document.querySelectorAll('.up_pftv_isoform-selector').length, 0, 'no selector');
+            instance.destroy();
+        });
+    });
+
+    it('should project the canonical features onto an isoform without annotation', function() {
+        var instance = new FeaturesViewer({el: yourDiv, uniprotacc: 'P05067', isoforms: isoforms});
+        return instance.loaded.then(function() {
+            instance.setAccession('P05067-4');
+            return instance.loaded;
+        }).then(function(summaries) {
+            assert.equal(summaries[0].status, 'loaded', 'source loaded');
+            assert.equal(summaries[0].projectedFrom, 'P05067', 'canonical data used');
+            assert.equal(instance.sequence, isoforms[1].sequence, 'isoform sequence displayed');
+            assert.equal(jQuery.getJSON.lastCall.args[0], 'http://my/features/P05067', 'canonical requested');
+            var selector = document.querySelector('.up_pftv_isoform-selector');
+            assert.equal(selector.value, 'P05067-4', 'isoform selected');
+            var features = [].concat.apply([], instance.data.map(function(category) {
+                return category[1];
+            }));
+            features.forEach(function(feature) {
+                assert.isDefined(feature.mapping, 'every feature is projected');
+                assert.equal(+feature.end <= isoforms[1].sequence.length, true, 'within the isoform');
+            });
+            assert.notEqual(document.querySelectorAll('.up_pftv_feature-changed').length, 0,
+                'features in changed regions are marked');
+            instance.destroy();
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+var ViewerFixture = require('./ViewerFixture');
+var assert = ViewerFixture.assert;
+var yourDiv = ViewerFixture.yourDiv;
+
+var FeaturesViewer = require('../..');
+var jQuery = require('jquery');
+var _ = require('underscore');
+
+describe('FeaturesViewerLifecycleTest', function() {
+    before(function() {
+        ViewerFixture.stubSources();
+    });
+
+    after(function() {
+        ViewerFixture.restoreSources();
+    });
+
+    it('should load another accession in place and keep hidden categories', function() {
+        var instance = new FeaturesViewer({el: yourDiv, uniprotacc: 'P05067'});
+
+        return ViewerFixture.nextEvent(instance, 'ready').then(function() {
+            instance.hiddenCategories.push('DOMAINS_AND_SITES');
+            var ready = ViewerFixture.nextEvent(instance, 'ready');
+            instance.setAccession('P12345');
+            return ready;
+        }).then(function() {
+            assert.equal(jQuery.getJSON.lastCall.args[0], 'http://my/features/P12345', 'new accession requested');
+            assert.equal(instance.uniprotacc, 'P12345', 'accession updated');
+            assert.equal(document.querySelectorAll('.up_pftv_container').length, 1, 'only one container');
+            assert.equal(document.querySelectorAll('.up_pftv_navruler').length, 1, 'only one nav-ruler');
+            var domains = document.querySelector('.up_pftv_category_DOMAINS_AND_SITES .up_pftv_category');
+            assert.equal(domains.style.display, 'none', 'hidden category stays hidden');
+            instance.destroy();
+        });
+    });
+
+    it('should keep the variant filters of each viewer apart', function() {
+        var first = new FeaturesViewer({el: yourDiv.appendChild(document.createElement('div')), uniprotacc: 'P05067'});
+        var second = new FeaturesViewer({el: yourDiv.appendChild(document.createElement('div')),
+            uniprotacc: 'P05067'});
+
+        var variants = {id: 'lab-variants', source: 'myLab', data: {accession: 'P05067', features: [
+            {type: 'VARIANT', category: 'VARIATION', begin: '10', end: '10', alternativeSequence: 'K'}
+        ]}};
+
+        return first.addSource(variants).then(function() {
+            return second.addSource(variants);
+        }).then(function() {
+            assert.notEqual(first.variantFilters[0].cases[0], second.variantFilters[0].cases[0], 'cases not shared');
+            ViewerFixture.click(first.globalContainer.select('.up_pftv_dialog-container li a').node());
+            assert.isTrue(_.every(second.variantFilters[0].cases, function(filterCase) {
+                return filterCase.on === true;
+            }), 'other viewer unfiltered');
+            first.destroy();
+            second.destroy();
+            yourDiv.innerHTML = '';
+        });
+    });
+
+    it('should remove every node and listener on destroy', function() {
+        var instance = new FeaturesViewer({el: yourDiv, uniprotacc: 'P05067'});
+        var readyCount = 0;
+
+        instance.getDispatcher().on("ready", function() {
+            readyCount++;
+        });
+        instance.getDispatcher().on("ready.other", function() {
+            readyCount++;
+        });
+        instance.destroy();
+
+        // once the pending loads are over
+        return jQuery.Deferred(function(deferred) {
+            setTimeout(deferred.resolve, 50);
+        }).then(function() {
+            assert.equal(yourDiv.childElementCount, 0, 'no node left');
+            assert.equal(readyCount, 0, 'pending loads are ignored');
+            assert.equal(instance.getDispatcher().on("ready"), undefined, 'no listener left');
+            assert.equal(instance.getDispatcher().on("ready.other"), undefined, 'no namespaced listener left');
+            assert.equal(instance.globalContainer, undefined, 'no reference to the layout');
+        });
+    });
+});
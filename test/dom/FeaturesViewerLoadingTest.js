@@ -0,0 +1,81 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+var ViewerFixture = require('./ViewerFixture');
+var assert = ViewerFixture.assert;
+var yourDiv = ViewerFixture.yourDiv;
+
+var FeaturesViewer = require('../..');
+var FeaturesData = require('./FeaturesData');
+
+describe('FeaturesViewerLoadingTest', function() {
+    var instance, loaded = [], failed = [], brokenFixed = false;
+
+    before(function() {
+        ViewerFixture.stubSources([
+            {url: 'http://my/features/', source: 'uniprot', category: 'FEATURES'},
+            {url: 'http://my/broken/', source: 'broken', category: 'BROKEN'}
+        ], function(deferred, url) {
+            return (url.indexOf('broken') !== -1) && !brokenFixed
+                ? deferred.reject({status: 500, statusText: 'Internal Server Error'})
+                : deferred.resolve(ViewerFixture.copyFeatures());
+        });
+        instance = new FeaturesViewer({el: yourDiv, uniprotacc: 'P05067'});
+        instance.getDispatcher().on('sourceLoaded', function(summary) {
+            loaded.push(summary);
+        });
+        instance.getDispatcher().on('sourceFailed', function(summary) {
+            failed.push(summary);
+        });
+    });
+
+    after(function() {
+        ViewerFixture.restoreSources();
+        instance.destroy();
+    });
+
+    it('should resolve fv.loaded with a summary per source', function() {
+        return instance.loaded.then(function(summaries) {
+            assert.equal(summaries.length, 2, 'one summary per source');
+            assert.equal(summaries[0].status, 'loaded', 'first source loaded');
+            assert.equal(summaries[0].featureCount, FeaturesData.features.features.length, 'feature count');
+            assert.equal(summaries[0].url, 'http://my/features/P05067', 'requested url');
+            assert.isNumber(summaries[0].time, 'timing');
+            assert.equal(summaries[1].status, 'failed', 'second source failed');
+            assert.equal(summaries[1].error, '500 Internal Server Error', 'failure reason');
+        });
+    });
+
+    it('should dispatch sourceLoaded and sourceFailed', function() {
+        assert.equal(loaded.length, 1, 'one source loaded');
+        assert.equal(loaded[0].source, 'uniprot', 'loaded source');
+        assert.equal(failed.length, 1, 'one source failed');
+        assert.equal(failed[0].source, 'broken', 'failed source');
+        assert.equal(failed[0].category, 'BROKEN', 'failed category');
+    });
+
+    it('should show the failed source in place with its reason', function() {
+        var failure = document.querySelector('.up_pftv_category_BROKEN .up_pftv_category-failed');
+        assert.isNotNull(failure, 'failure row');
+        assert.isNotNull(failure.querySelector('.up_pftv_error-badge'), 'error badge');
+        assert.equal(failure.querySelector('.up_pftv_category-error').textContent, '500 Internal Server Error',
+            'failure reason');
+        assert.equal(document.querySelectorAll('.up_pftv_category-loading').length, 0, 'no placeholder left');
+    });
+
+    it('should load the failed source again on retry', function() {
+        brokenFixed = true;
+        var loaded = ViewerFixture.nextEvent(instance, 'sourceLoaded');
+        ViewerFixture.click(document.querySelector('.up_pftv_category-retry'));
+        return loaded.then(function(summary) {
+            assert.equal(summary.source, 'broken', 'retried source');
+            assert.equal(summary.status, 'loaded', 'retried source loaded');
+            assert.equal(document.querySelectorAll('.up_pftv_category-failed').length, 0, 'no failure row left');
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+var ViewerFixture = require('./ViewerFixture');
+var assert = ViewerFixture.assert;
+
+var _ = require('underscore');
+
+describe('FeaturesViewerMergeTest', function() {
+    var experimental = {
+        id: 'experimental',
+        source: 'myLab',
+        data: {
+            accession: 'P05067',
+            features: [
+                {type: 'DOMAIN', category: 'DOMAINS_AND_SITES', begin: '291', end: '341',
+                    description: 'BPTI/Kunitz inhibitor.'},
+                {type: 'DOMAIN', category: 'DOMAINS_AND_SITES', begin: '400', end: '450',
+                    description: 'Predicted domain'}
+            ]
+        }
+    };
+
+    var getDomains = function(instance) {
+        return _.filter(_.findWhere(instance.categories, {name: 'DOMAINS_AND_SITES'}).data, function(feature) {
+            return feature.type === 'DOMAIN';
+        });
+    };
+
+    it('should draw a feature reported by two sources once', function() {
+        var instance = ViewerFixture.createViewer();
+        return instance.loaded.then(function() {
+            assert.equal(document.querySelectorAll('.up_pftv_merge-toggle').length, 0, 'no toggle for one source');
+            return instance.addSource(experimental);
+        }).then(function() {
+            assert.equal(document.querySelectorAll('.up_pftv_buttons .up_pftv_merge-toggle').length, 0,
+                'toggle out of the buttons');
+            var domains = getDomains(instance);
+            assert.equal(domains.length, 2, 'duplicate merged');
+            var merged = _.findWhere(domains, {begin: '291'});
+            assert.deepEqual(merged.sources, ['uniprot', 'experimental'], 'sources listed');
+            assert.equal(merged.mergedFeatures.length, 2, 'original features kept');
+            var category = _.findWhere(instance.categories, {name: 'DOMAINS_AND_SITES'});
+            assert.equal(category.viewerContainer.selectAll('[name="' + merged.internalId + '"]').size(), 1,
+                'drawn once');
+
+            instance.selectFeature({type: 'DOMAIN', begin: 291, end: 341});
+            assert.equal(instance.selectedFeature, merged, 'merged feature selected');
+            var rows = document.querySelectorAll('.up_pftv_tooltip-container td');
+            assert.include(_.pluck(rows, 'textContent'), 'Sources', 'sources in the tooltip');
+            instance.destroy();
+        });
+    });
+
+    it('should switch to an unmerged view', function() {
+        var instance = ViewerFixture.createViewer();
+        return instance.addSource(experimental).then(function() {
+            instance.setFeatureMerging(false);
+            assert.equal(getDomains(instance).length, 3, 'one feature per source');
+            assert.equal(document.querySelector('.up_pftv_merge-toggle input').checked, false, 'toggle updated');
+            instance.setFeatureMerging(true);
+            assert.equal(getDomains(instance).length, 2, 'merged again');
+            instance.destroy();
+        });
+    });
+
+    it('should apply custom merge rules', function() {
+        var instance = ViewerFixture.createViewer({mergeRules: ['type', 'span']});
+        var renamed = {id: 'renamed', source: 'myLab', data: {accession: 'P05067', features: [
+            {type: 'DOMAIN', category: 'DOMAINS_AND_SITES', begin: '291', end: '341', description: 'Kunitz domain'}
+        ]}};
+        return instance.addSource(renamed).then(function() {
+            assert.equal(getDomains(instance).length, 1, 'merged without comparing descriptions');
+            instance.removeSource('renamed');
+            var domains = getDomains(instance);
+            assert.equal(domains.length, 1, 'merged feature withdrawn');
+            assert.equal(domains[0].sources, undefined, 'single source left');
+            instance.destroy();
+        });
+    });
+});
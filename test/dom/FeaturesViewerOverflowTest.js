@@ -0,0 +1,92 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+var ViewerFixture = require('./ViewerFixture');
+var assert = ViewerFixture.assert;
+
+var FeaturesData = require('./FeaturesData');
+var _ = require('underscore');
+
+describe('FeaturesViewerOverflowTest', function() {
+    // six overlapping regions, one per row
+    var data = {
+        accession: 'P05067',
+        sequence: FeaturesData.features.sequence,
+        features: _.map(_.range(6), function(i) {
+            return {type: 'REGION', category: 'DOMAINS_AND_SITES', begin: String(10 + i), end: String(100 + i),
+                description: 'Region ' + i};
+        })
+    };
+
+    var createViewer = function(opts) {
+        return ViewerFixture.createViewer(_.extend({data: data}, opts));
+    };
+
+    var getCategorySvg = function(instance) {
+        return _.findWhere(instance.categories, {name: 'DOMAINS_AND_SITES'}).viewerContainer.select('svg').node();
+    };
+
+    it('should collapse the rows beyond the maximum', function() {
+        var instance = createViewer({maxRows: 4});
+        return instance.loaded.then(function() {
+            var svg = getCategorySvg(instance);
+            assert.equal(svg.querySelectorAll('.up_pftv_feature').length, 4, 'visible rows drawn');
+            assert.equal(svg.querySelector('.up_pftv_overflow-count').textContent, '2', 'hidden features');
+            assert.equal(svg.querySelector('.up_pftv_overflow-label').textContent, 'Show 2 more rows', 'label');
+            assert.equal(svg.getAttribute('height'), '75', 'natural row height');
+            assert.equal(svg.querySelector('.up_pftv_category-viewer-group .up_pftv_overflow'), null,
+                'overflow row outside the features');
+            instance.destroy();
+        });
+    });
+
+    it('should update the overflow row in place', function() {
+        var instance = createViewer({maxRows: 4});
+        return instance.loaded.then(function() {
+            var svg = getCategorySvg(instance);
+            var row = svg.querySelector('.up_pftv_overflow');
+            ViewerFixture.click(document.querySelector('.up_pftv_icon-zoom-in'));
+            assert.equal(svg.querySelectorAll('.up_pftv_overflow').length, 1, 'one overflow row');
+            assert.equal(svg.querySelector('.up_pftv_overflow'), row, 'same overflow row');
+            instance.destroy();
+        });
+    });
+
+    it('should expand the track from the overflow row', function() {
+        var instance = createViewer({maxRows: 4});
+        return instance.loaded.then(function() {
+            var svg = getCategorySvg(instance);
+            ViewerFixture.click(svg.querySelector('.up_pftv_overflow'));
+            assert.equal(svg.querySelectorAll('.up_pftv_feature').length, 6, 'every row drawn');
+            assert.equal(svg.getAttribute('height'), '105', 'track grown');
+            assert.equal(svg.querySelector('.up_pftv_overflow-label').textContent, 'Show fewer rows', 'label');
+            instance.destroy();
+        });
+    });
+
+    it('should expand the track to select a hidden feature', function() {
+        var instance = createViewer({maxRows: 4});
+        return instance.loaded.then(function() {
+            var feature = instance.selectFeature({type: 'REGION', begin: 15, end: 105});
+            assert.equal(feature.description, 'Region 5', 'feature selected');
+            assert.equal(getCategorySvg(instance).querySelectorAll('.up_pftv_feature').length, 6, 'track expanded');
+            instance.destroy();
+        });
+    });
+
+    it('should shrink rows without maximum', function() {
+        var instance = createViewer();
+        return instance.loaded.then(function() {
+            var svg = getCategorySvg(instance);
+            assert.equal(svg.querySelectorAll('.up_pftv_feature').length, 6, 'every row drawn');
+            assert.equal(svg.querySelector('.up_pftv_overflow'), null, 'no overflow row');
+            assert.equal(svg.getAttribute('height'), '40', 'track height kept');
+            instance.destroy();
+        });
+    });
+});
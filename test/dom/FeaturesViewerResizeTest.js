@@ -0,0 +1,73 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+var ViewerFixture = require('./ViewerFixture');
+var assert = ViewerFixture.assert;
+var yourDiv = ViewerFixture.yourDiv;
+
+var _ = require('underscore');
+
+describe('FeaturesViewerResizeTest', function() {
+    var hostWidth;
+
+    beforeEach(function() {
+        hostWidth = yourDiv.style.width;
+    });
+
+    afterEach(function() {
+        yourDiv.style.width = hostWidth;
+    });
+
+    it('should take the width of the host element', function() {
+        yourDiv.style.width = '1200px';
+        var instance = ViewerFixture.createViewer();
+        return instance.loaded.then(function() {
+            assert.equal(instance.width, 1000, 'host width but the category names');
+            assert.equal(document.querySelector('#up_pftv_svg-navruler').getAttribute('width'), '1000', 'nav ruler');
+            _.each(document.querySelectorAll('.up_pftv_category-viewer svg, .up_pftv_aaviewer svg'), function(svg) {
+                assert.equal(svg.getAttribute('width'), '1000', 'track width');
+            });
+            instance.destroy();
+        });
+    });
+
+    it('should keep the zoom and the selection', function() {
+        var instance = ViewerFixture.createViewer();
+        return instance.loaded.then(function() {
+            ViewerFixture.click(document.querySelector('.up_pftv_icon-zoom-in'));
+            var feature = instance.selectFeature({type: 'DOMAIN', begin: 291, end: 341});
+            var domain = instance.xScale.domain();
+
+            yourDiv.style.width = '700px';
+            assert.equal(instance.resize(), true, 'width changed');
+            assert.equal(instance.resize(), false, 'width unchanged');
+            assert.equal(instance.width, 500, 'new width');
+            assert.deepEqual(instance.xScale.range(), [10, 490], 'scale range');
+            assert.deepEqual(instance.xScale.domain(), domain, 'zoom kept');
+            assert.equal(instance.selectedFeature, feature, 'selection kept');
+            var element = document.querySelector('[name="' + feature.internalId + '"]');
+            assert.equal(element.getAttribute('class').indexOf('up_pftv_activeFeature') !== -1, true,
+                'selection drawn');
+            instance.destroy();
+        });
+    });
+
+    it('should keep the highlighted region', function() {
+        var instance = ViewerFixture.createViewer();
+        return instance.loaded.then(function() {
+            instance.highlightRegion(100, 200);
+            yourDiv.style.width = '700px';
+            instance.resize();
+            assert.deepEqual(instance.highlight, {begin: 100, end: 200, type: 'continuous'}, 'highlight kept');
+            var path = document.querySelector('.up_pftv_aaviewer .up_pftv_amino_acid_selector');
+            assert.equal(path.getAttribute('transform'), 'translate(' + instance.xScale(100) + ',0)',
+                'highlight at the new scale');
+            instance.destroy();
+        });
+    });
+});
@@ -0,0 +1,88 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+var ViewerFixture = require('./ViewerFixture');
+var assert = ViewerFixture.assert;
+
+describe('FeaturesViewerSourcesTest', function() {
+    var experimental = {
+        id: 'experimental',
+        source: 'myLab',
+        data: {
+            accession: 'P05067',
+            features: [
+                {type: 'DOMAIN', category: 'MY_DOMAINS', begin: '30', end: '120', description: 'Predicted domain'},
+                {type: 'ZN_FING', category: 'MY_DOMAINS', begin: '200', end: '260',
+                    description: 'Predicted zinc finger'}
+            ]
+        }
+    };
+
+    it('should add a source without reloading the viewer', function() {
+        var instance = ViewerFixture.createViewer();
+        var navRuler, categoryCount;
+        return instance.loaded.then(function() {
+            navRuler = document.querySelector('.up_pftv_navruler');
+            categoryCount = instance.categories.length;
+            instance.xScale.domain([20, 80]);
+            return instance.addSource(experimental);
+        }).then(function(summary) {
+            assert.equal(summary.status, 'loaded', 'source loaded');
+            assert.equal(summary.featureCount, 2, 'feature count');
+            assert.equal(instance.categories.length, categoryCount + 1, 'one more category');
+            assert.equal(document.querySelectorAll('.up_pftv_category_MY_DOMAINS .up_pftv_category').length, 1,
+                'category drawn');
+            assert.equal(document.querySelector('.up_pftv_navruler'), navRuler, 'layout kept');
+            assert.deepEqual(instance.xScale.domain(), [20, 80], 'zoom kept');
+            instance.destroy();
+        });
+    });
+
+    it('should not add a source twice', function() {
+        var instance = ViewerFixture.createViewer();
+        instance.addSource(experimental);
+        assert.throws(function() {
+            instance.addSource(experimental);
+        }, /already displayed/);
+        instance.destroy();
+    });
+
+    it('should remove exactly the features of a source', function() {
+        var instance = ViewerFixture.createViewer();
+        return instance.addSource(experimental).then(function() {
+            var domains = instance.categories.filter(function(category) {
+                return category.name === 'DOMAINS_AND_SITES';
+            })[0];
+            var domainCount = domains.data.length;
+            instance.xScale.domain([20, 80]);
+
+            assert.equal(instance.removeSource('experimental'), true, 'source removed');
+            assert.equal(instance.removeSource('experimental'), false, 'nothing left to remove');
+            assert.equal(document.querySelectorAll('.up_pftv_category_MY_DOMAINS .up_pftv_category').length, 0,
+                'emptied category removed');
+            assert.equal(instance.data.filter(function(category) {
+                return category[0] === 'MY_DOMAINS';
+            }).length, 0, 'data withdrawn');
+            assert.equal(domains.data.length, domainCount, 'other sources untouched');
+            assert.deepEqual(instance.xScale.domain(), [20, 80], 'zoom kept');
+            assert.equal(instance.dataSources.length, 1, 'source forgotten');
+            instance.destroy();
+        });
+    });
+
+    it('should deselect a feature once its source is removed', function() {
+        var instance = ViewerFixture.createViewer();
+        return instance.addSource(experimental).then(function() {
+            var feature = instance.selectFeature({type: 'ZN_FING', begin: 200, end: 260});
+            assert.equal(instance.selectedFeature, feature, 'feature selected');
+            instance.removeSource('experimental');
+            assert.equal(instance.selectedFeature, undefined, 'selection dropped');
+            instance.destroy();
+        });
+    });
+});
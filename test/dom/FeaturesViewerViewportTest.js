@@ -0,0 +1,78 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+var ViewerFixture = require('./ViewerFixture');
+var assert = ViewerFixture.assert;
+var createViewer = ViewerFixture.createViewer;
+var click = ViewerFixture.click;
+
+var _ = require('underscore');
+
+describe('FeaturesViewerViewportTest', function() {
+    var getCategory = function(instance) {
+        return _.findWhere(instance.categories, {name: 'DOMAINS_AND_SITES'});
+    };
+
+    var getElement = function(instance, feature) {
+        return getCategory(instance).viewerContainer.select('[name="' + feature.internalId + '"]').node();
+    };
+
+    var getTranslation = function(instance, feature) {
+        return 'translate(' + instance.xScale(feature.begin) + ',';
+    };
+
+    var overlaps = function(feature, begin, end) {
+        var featureEnd = feature.end ? +feature.end : +feature.begin;
+        return (+feature.begin <= end) && (featureEnd >= begin);
+    };
+
+    it('should keep every feature in the DOM once zoomed', function() {
+        var instance = createViewer();
+        return instance.loaded.then(function() {
+            click(document.querySelector('.up_pftv_icon-zoom-in'));
+            var category = getCategory(instance);
+            assert.equal(category.viewerContainer.selectAll('.up_pftv_feature').size(), category.data.length,
+                'every feature drawn');
+            _.each(category.data, function(feature) {
+                assert.equal(getElement(instance, feature).getAttribute('transform').indexOf(
+                    getTranslation(instance, feature)), 0, 'feature moved');
+            });
+            instance.destroy();
+        });
+    });
+
+    it('should draw only the features near the view during gestures', function() {
+        var instance = createViewer();
+        return instance.loaded.then(function() {
+            click(document.querySelector('.up_pftv_icon-zoom-in'));
+            var category = getCategory(instance);
+            var previous = instance.xScale.domain(), width = previous[1] - previous[0];
+            instance.xScale.domain([previous[0] + 300, previous[1] + 300]);
+            var domain = instance.xScale.domain();
+            instance.partialUpdate = true;
+            category.update();
+            instance.partialUpdate = false;
+            var drawn = category.viewerContainer.selectAll('.up_pftv_feature');
+            assert.isTrue(drawn.size() < category.data.length, 'fewer features drawn');
+            drawn.each(function(feature) {
+                assert.isTrue(overlaps(feature, domain[0] - width, domain[1] + width), 'feature near the view');
+                assert.equal(this.getAttribute('transform').indexOf(getTranslation(instance, feature)), 0,
+                    'feature moved');
+            });
+            _.each(category.data, function(feature) {
+                if (overlaps(feature, domain[0], domain[1])) {
+                    assert.isNotNull(getElement(instance, feature), 'feature in view drawn');
+                }
+            });
+            category.update();
+            assert.equal(category.viewerContainer.selectAll('.up_pftv_feature').size(), category.data.length,
+                'every feature drawn again');
+            instance.destroy();
+        });
+    });
+});
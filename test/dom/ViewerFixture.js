@@ -0,0 +1,77 @@
+/*
+ * ProtVista
+ * https://github.com/ebi-uniprot/ProtVista
+ *
+ * Copyright (c) 2014 ebi-uniprot
+ * Licensed under the Apache 2 license.
+ */
+
+// Set up shared by the DOM tests: assertions, the host div, viewers drawing the test data and stubbed sources
+
+// chai is an assertion library
+var chai = require('chai');
+var sinon = require('sinon');
+
+// this is your global div instance (see index.html)
+var yourDiv = document.getElementById('mocha');
+
+// requires your main app (specified in index.js)
+var FeaturesViewer = require('../..');
+var Constants = require('../../src/Constants');
+var FeaturesData = require('./FeaturesData');
+var jQuery = require('jquery');
+var _ = require('underscore');
+
+// @see http://chaijs.com/api/assert/
+exports.assert = chai.assert;
+
+exports.yourDiv = yourDiv;
+
+// A copy of the test data, as loaded payloads are processed in place
+var copyFeatures = function() {
+    return jQuery.extend(true, {}, FeaturesData.features);
+};
+exports.copyFeatures = copyFeatures;
+
+// Viewer of P05067 drawing the test data inline, without any request
+exports.createViewer = function(opts) {
+    return new FeaturesViewer(_.extend({el: yourDiv, uniprotacc: 'P05067', defaultSources: false,
+        data: FeaturesData.features}, opts));
+};
+
+// Replaces the UniProt sources, by a basic one at http://my/features/ unless sources are given, and answers their
+// requests with a copy of the test data a few milliseconds later. respond(deferred, url), when given, answers
+// instead. restoreSources undoes it.
+exports.stubSources = function(sources, respond) {
+    sinon.stub(Constants, 'getDataSources', function() {
+        return sources ? sources : [{url: 'http://my/features/', type: 'basic'}];
+    });
+    sinon.stub(jQuery, 'getJSON', function(url) {
+        var deferred = jQuery.Deferred();
+        setTimeout(function() {
+            return respond ? respond(deferred, url) : deferred.resolve(copyFeatures());
+        }, 5);
+        return deferred;
+    });
+};
+
+exports.restoreSources = function() {
+    Constants.getDataSources.restore();
+    jQuery.getJSON.restore();
+};
+
+// Promise resolved with the argument of the next event of the viewer, so that tests can return it
+exports.nextEvent = function(instance, event) {
+    var deferred = jQuery.Deferred();
+    instance.getDispatcher().on(event + '.test', function(arg) {
+        instance.getDispatcher().on(event + '.test', null);
+        deferred.resolve(arg);
+    });
+    return deferred.promise();
+};
+
+exports.click = function(element) {
+    var evt = document.createEvent('MouseEvents');
+    evt.initMouseEvent('click', true, true, window, 1, 1, 1, 1, 1, false, false, false, false, 0, null);
+    element.dispatchEvent(evt);
+};
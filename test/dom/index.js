@@ -3,3 +3,14 @@
 // UI tests
 require("./FeaturesViewerFlowTest.js");
 require("./FeaturesViewerExclusionTest.js");
+require("./FeaturesViewerInlineDataTest.js");
+require("./FeaturesViewerLifecycleTest.js");
+require("./FeaturesViewerLoadingTest.js");
+require("./FeaturesViewerCustomSequenceTest.js");
+require("./FeaturesViewerSourcesTest.js");
+require("./FeaturesViewerIsoformTest.js");
+require("./FeaturesViewerMergeTest.js");
+require("./FeaturesViewerOverflowTest.js");
+require("./FeaturesViewerResizeTest.js");
+require("./FeaturesViewerCanvasTest.js");
+require("./FeaturesViewerViewportTest.js");
@@ -22,6 +22,14 @@ var _ = require("underscore");
 var Constants = require('../../src/Constants');
 var DataLoader = require('../../src/DataLoader');
 var NonOverlappingLayout = require('../../src/NonOverlappingLayout');
+var SourceAdapters = require('../../src/SourceAdapters');
+var DataCache = require('../../src/DataCache');
+var SequenceValidator = require('../../src/SequenceValidator');
+var SequenceAligner = require('../../src/SequenceAligner');
+var VariantProcessing = require('../../src/VariantProcessing');
+var VariantWorker = require('../../src/VariantWorker');
+var fs = require('fs');
+var path = require('path');
 
 describe('FeaturesViewerTest', function() {
     describe('DataLoader', function() {
@@ -89,6 +97,18 @@ describe('FeaturesViewerTest', function() {
             Constants.addSource(source);
             assert.equal(JSON.stringify(expectedSources), JSON.stringify(Constants.getDataSources()));
         });
+        it('should keep every external source with its label and colour', function() {
+            var collaborator = {url: 'https://collaborator.url.com', source: 'collab', label: 'Collaborator',
+                color: '#ff0000'};
+            var curated = {url: 'https://curated.url.com', source: 'curated'};
+            Constants.addSource(collaborator);
+            Constants.addSource(curated);
+            var externalSources = Constants.getExternalDataSources();
+            expect(externalSources.slice(-3)).to.deep.equal([source, collaborator, curated]);
+            assert.equal(Constants.getExternalDataSource(), curated);
+            expect(Constants.getExternalSourceInfo('collab')).to.deep.equal({label: 'Collaborator', color: '#ff0000'});
+            expect(Constants.getExternalSourceInfo('curated')).to.deep.equal({label: 'curated', color: 'black'});
+        });
         it('should add new categories and modify existing ones', function() {
             var expectedCategoryNamesInOrder = [
                 { name: 'MY_DOMAINS', label: 'My domains', visualizationType: 'basic' },
@@ -149,4 +169,777 @@ describe('FeaturesViewerTest', function() {
             expect(family_domains).to.deep.equal(Constants.getTrackInfo('family_domains'));
         });
     });
+    describe('SourceAdapters', function() {
+        var tsvAdapter = {
+            dataType: 'text',
+            parse: function(raw, source) {
+                return _.map(raw.split('\n'), function(line) {
+                    var columns = line.split('\t');
+                    return {type: columns[0], begin: columns[1], end: columns[2], category: source.category};
+                });
+            }
+        };
+        after(function() {
+            SourceAdapters.unregister('tsv');
+        });
+        it('should provide the json adapter by default', function() {
+            var payload = {sequence: 'MLPGL', features: []};
+            assert.equal(SourceAdapters.has(), true);
+            assert.equal(SourceAdapters.getDataType({}), 'json');
+            assert.equal(SourceAdapters.adapt({}, payload), payload);
+            assert.equal(SourceAdapters.adapt({}, [payload]), payload);
+        });
+        it('should register a new adapter', function() {
+            SourceAdapters.register('TSV', tsvAdapter);
+            expect(SourceAdapters.getFormats()).to.include('tsv');
+            assert.equal(SourceAdapters.getDataType({format: 'tsv'}), 'text');
+        });
+        it('should adapt raw data into features', function() {
+            var payload = SourceAdapters.adapt({format: 'tsv', category: 'MY_DOMAINS'}, 'DOMAIN\t1\t10\nMOTIF\t4\t6');
+            expect(payload.features).to.deep.equal([
+                {type: 'DOMAIN', begin: '1', end: '10', category: 'MY_DOMAINS'},
+                {type: 'MOTIF', begin: '4', end: '6', category: 'MY_DOMAINS'}
+            ]);
+        });
+        it('should refuse adapters without parse function and unknown formats', function() {
+            expect(function() {
+                SourceAdapters.register('nothing', {});
+            }).to.throw(Error);
+            expect(function() {
+                SourceAdapters.adapt({format: 'nothing'}, '');
+            }).to.throw(Error);
+        });
+    });
+    describe('Gff3Adapter', function() {
+        var gff = fs.readFileSync(path.join(__dirname, '../../snippets/data/externalFeatures_P05067.gff3'), 'utf8');
+        var adapter = SourceAdapters.get('gff3');
+        var payload = adapter.parse(gff, {source: 'myLab'}, {accession: 'P05067'});
+
+        it('should be registered as a text adapter', function() {
+            assert.equal(SourceAdapters.getDataType({format: 'gff3'}), 'text');
+            assert.equal(SourceAdapters.get('gff'), adapter);
+        });
+        it('should only keep features for the accession', function() {
+            assert.equal(payload.accession, 'P05067');
+            assert.equal(payload.features.length, 3);
+            expect(payload.sequence).to.be.undefined;
+        });
+        it('should map columns and attributes onto features', function() {
+            var domain = payload.features[0];
+            assert.equal(domain.type, 'DOMAIN');
+            assert.equal(domain.category, 'DOMAINS_AND_SITES');
+            assert.equal(domain.begin, 28);
+            assert.equal(domain.end, 123);
+            assert.equal(domain.ftId, 'MYDOM_1');
+            assert.equal(domain.description, 'E1 domain; growth factor like');
+            expect(domain.evidences).to.deep.equal([{code: 'ECO:0000269', source: {name: 'PubMed', id: '12665801',
+                url: 'http://www.ncbi.nlm.nih.gov/pubmed/12665801',
+                alternativeUrl: 'http://europepmc.org/abstract/MED/12665801'}}]);
+
+            var modRes = payload.features[1];
+            assert.equal(modRes.type, 'MOD_RES');
+            assert.equal(modRes.category, 'PTM');
+            assert.equal(modRes.evidences.length, 2);
+            expect(modRes.evidences[1]).to.deep.equal({code: 'ECO:0000255'});
+        });
+        it('should take the category from the attributes or the configured default', function() {
+            assert.equal(payload.features[2].category, 'NOVELTIES');
+            assert.equal(payload.features[2].xrefs[0].id, '4PQD');
+            var withDefault = adapter.parse(gff, {source: 'myLab', defaultCategory: 'MY_FEATURES'},
+                {accession: 'P05067'});
+            assert.equal(withDefault.features[0].category, 'MY_FEATURES');
+            assert.equal(withDefault.features[2].category, 'NOVELTIES');
+        });
+        it('should read the sequence from the FASTA directive', function() {
+            var withFasta = adapter.parse(gff + '##FASTA\n>P05067 APP\nMLPGLA\nLLLLAA\n>P12345\nMMM\n', {},
+                {accession: 'P05067'});
+            assert.equal(withFasta.sequence, 'MLPGLALLLLAA');
+            assert.equal(withFasta.features.length, 3);
+        });
+        it('should group GFF3 features by category', function() {
+            var categories = DataLoader.groupFeaturesByCategory(payload.features, '', 'myLab');
+            expect(_.map(categories, _.first)).to.deep.equal(['NOVELTIES', 'DOMAINS_AND_SITES', 'PTM']);
+        });
+    });
+    describe('VcfAdapter', function() {
+        var vcf = fs.readFileSync(path.join(__dirname, '../../snippets/data/externalVariants_P05067.vcf'), 'utf8');
+        var adapter = SourceAdapters.get('vcf');
+        var payload = adapter.parse(vcf, {source: 'patients'}, {accession: 'P05067'});
+
+        it('should keep protein changing records for the accession only', function() {
+            assert.equal(SourceAdapters.getDataType({format: 'vcf'}), 'text');
+            assert.equal(payload.features.length, 3);
+            expect(_.pluck(payload.features, 'consequence')).to.deep.equal(['missense variant', 'stop gained',
+                'inframe deletion']);
+        });
+        it('should fill variant data from the VEP annotations', function() {
+            var missense = payload.features[0];
+            assert.equal(missense.type, 'VARIANT');
+            assert.equal(missense.begin, 670);
+            assert.equal(missense.end, 670);
+            assert.equal(missense.wildType, 'K');
+            assert.equal(missense.alternativeSequence, 'N');
+            assert.equal(missense.siftPrediction, 'deleterious');
+            assert.equal(missense.siftScore, 0.01);
+            assert.equal(missense.polyphenPrediction, 'probably damaging');
+            assert.equal(missense.polyphenScore, 0.998);
+            assert.equal(missense.xrefs[0].name, 'dbSNP');
+            assert.equal(payload.features[1].alternativeSequence, '*');
+            assert.equal(payload.features[2].alternativeSequence, 'del');
+        });
+        it('should select the annotations of a given transcript', function() {
+            var isoform = adapter.parse(vcf, {source: 'patients', transcript: 'ENST00000348990'},
+                {accession: 'P05067'});
+            assert.equal(isoform.features.length, 1);
+            assert.equal(isoform.features[0].begin, 595);
+            assert.equal(isoform.features[0].polyphenScore, 0.991);
+        });
+        it('should place VCF variants as external data', function() {
+            var sequence = require('../../snippets/data/features.json').sequence;
+            var variants = DataLoader.processVariants(payload.features, sequence, 'patients')[0][1];
+            var atK670 = variants[670].variants[0];
+            assert.equal(atK670.alternativeSequence, 'N');
+            assert.equal(atK670.externalData.patients.consequence, 'missense variant');
+            expect(Constants.getConsequenceTypes()).to.include('stop gained');
+        });
+        it('should keep HGVS notations that cannot be decoded', function() {
+            var withHgvs = adapter.parse([
+                '##INFO=<ID=CSQ,Number=.,Type=String,Description="Format: Allele|Consequence|Feature|'
+                    + 'Protein_position|Amino_acids|SWISSPROT|HGVSp">',
+                '21\t25891796\t.\tC\tG\t50\tPASS\tCSQ=G|missense_variant|ENST00000346798.8|670|K/N|P05067.199|'
+                    + 'ENSP00000284981.4:p.Lys670Asn%3D',
+                '21\t25891784\t.\tC\tA\t50\tPASS\tCSQ=A|missense_variant|ENST00000346798.8|674|E/K|P05067.199|'
+                    + 'ENSP00000284981.4:p.Glu674Lys%'
+            ].join('\n'), {source: 'patients'}, {accession: 'P05067'});
+            assert.equal(withHgvs.features[0].description, 'ENST00000346798.8 ENSP00000284981.4:p.Lys670Asn=');
+            assert.equal(withHgvs.features[1].description, 'ENST00000346798.8 ENSP00000284981.4:p.Glu674Lys%');
+        });
+        it('should refuse VCF files without VEP annotations', function() {
+            expect(function() {
+                adapter.parse('##fileformat=VCFv4.2\n', {}, {accession: 'P05067'});
+            }).to.throw(Error);
+        });
+    });
+    describe('Per viewer configuration', function() {
+        it('should not share sources between viewers', function() {
+            var first = Constants.createViewerConfig();
+            var second = Constants.createViewerConfig();
+            first.clearDataSources();
+            first.addSource({url: 'http://my/source/', source: 'mine'});
+            assert.equal(first.getDataSources().length, 1);
+            assert.equal(second.getDataSources().length, Constants.getDataSources().length);
+            assert.equal(second.getExternalDataSources().length, Constants.getExternalDataSources().length);
+        });
+        it('should not share category order or track names between viewers', function() {
+            var first = Constants.createViewerConfig();
+            var second = Constants.createViewerConfig();
+            first.setOrderForCategoryNames(['VARIATION']);
+            first.addTrackTypes({my_track: {label: 'Custom label', tooltip: 'Mine'}});
+            assert.equal(first.getCategoryNamesInOrder()[0].name, 'VARIATION');
+            assert.equal(second.getCategoryNamesInOrder()[0].name, Constants.getCategoryNamesInOrder()[0].name);
+            assert.equal(first.getTrackInfo('my_track').label, 'Custom label');
+            assert.equal(second.getTrackInfo('my_track').label, 'My track');
+        });
+        it('should collect consequence types per viewer', function() {
+            var config = Constants.createViewerConfig();
+            var variants = [{type: 'VARIANT', begin: 2, end: 2, wildType: 'L', alternativeSequence: 'P',
+                consequence: 'per viewer consequence'}];
+            DataLoader.processVariants(variants, 'MLPGLALLLLAAWTARALEV', 'mine', false, config);
+            expect(config.getConsequenceTypes()).to.include('per viewer consequence');
+            expect(Constants.getConsequenceTypes()).not.to.include('per viewer consequence');
+        });
+    });
+    describe('DataCache', function() {
+        var createStorage = function() {
+            var items = {};
+            return {
+                getItem: function(key) {
+                    return items.hasOwnProperty(key) ? items[key] : null;
+                },
+                setItem: function(key, value) {
+                    items[key] = value;
+                    this.length = _.keys(items).length;
+                },
+                removeItem: function(key) {
+                    delete items[key];
+                    this.length = _.keys(items).length;
+                },
+                key: function(index) {
+                    return _.keys(items)[index];
+                },
+                length: 0
+            };
+        };
+        it('should return a copy of the cached response', function() {
+            var cache = new DataCache({persistent: false});
+            cache.set('http://my/source/P05067', {features: [{type: 'DOMAIN'}]});
+            var first = cache.get('http://my/source/P05067');
+            first.features[0].type = 'CHANGED';
+            assert.equal(cache.get('http://my/source/P05067').features[0].type, 'DOMAIN');
+            assert.equal(cache.get('http://my/source/P12345'), undefined);
+        });
+        it('should expire entries after the ttl', function() {
+            var cache = new DataCache({persistent: false, ttl: 1000});
+            var now = 0;
+            cache.now = function() {
+                return now;
+            };
+            cache.set('http://my/source/P05067', 'text');
+            now = 500;
+            assert.equal(cache.get('http://my/source/P05067'), 'text');
+            now = 1500;
+            assert.equal(cache.get('http://my/source/P05067'), undefined);
+        });
+        it('should drop the least recently used entries above the size cap', function() {
+            var cache = new DataCache({persistent: false, maxSize: 10});
+            cache.set('a', '1234');
+            cache.set('b', '1234');
+            cache.get('a');
+            cache.set('c', '1234');
+            assert.equal(cache.get('b'), undefined);
+            assert.equal(cache.get('a'), '1234');
+            assert.equal(cache.get('c'), '1234');
+            assert.equal(cache.size, 8);
+        });
+        it('should keep entries in the persistent storage until cleared', function() {
+            var storage = createStorage();
+            new DataCache({persistent: true, storage: storage}).set('http://my/source/P05067', [1, 2]);
+            var reloaded = new DataCache({persistent: true, storage: storage});
+            expect(reloaded.get('http://my/source/P05067')).to.deep.equal([1, 2]);
+            storage.setItem('other', 'kept');
+            reloaded.clear();
+            assert.equal(reloaded.get('http://my/source/P05067'), undefined);
+            assert.equal(storage.length, 1);
+        });
+        it('should keep entries in memory only unless persistent', function() {
+            var storage = createStorage();
+            var cache = new DataCache({storage: storage});
+            cache.set('http://my/source/P05067', [1, 2]);
+            expect(cache.get('http://my/source/P05067')).to.deep.equal([1, 2]);
+            assert.equal(storage.length, 0);
+        });
+        it('should keep responses read as text apart from those read as JSON', function() {
+            var storage = createStorage();
+            var cache = new DataCache({persistent: true, storage: storage});
+            cache.set('http://my/source/P05067', '{"features": []}', 'text');
+            assert.equal(cache.get('http://my/source/P05067'), undefined);
+            cache.set('http://my/source/P05067', {features: []}, 'json');
+            var reloaded = new DataCache({persistent: true, storage: storage});
+            assert.equal(reloaded.get('http://my/source/P05067', 'text'), '{"features": []}');
+            expect(reloaded.get('http://my/source/P05067')).to.deep.equal({features: []});
+        });
+        it('should keep the persistent storage within its quota', function() {
+            var storage = createStorage();
+            var cache = new DataCache({persistent: true, storage: storage});
+            assert.equal(cache.storageMaxSize, 2.5 * 1024 * 1024);
+            cache.storageMaxSize = 100;
+            cache.set('a', '12345678901234567890');
+            cache.set('b', '12345678901234567890');
+            assert.equal(storage.getItem('protvista:json a'), null, 'oldest entry dropped from the storage');
+            assert.notEqual(storage.getItem('protvista:json b'), null, 'new entry stored');
+            cache.set('c', new Array(101).join('1'));
+            assert.equal(cache.get('c').length, 100, 'large entry in memory');
+            assert.equal(storage.getItem('protvista:json c'), null, 'large entry not stored');
+            assert.notEqual(storage.getItem('protvista:json b'), null, 'stored entries kept');
+        });
+    });
+    describe('Sequence consistency', function() {
+        var data = require('../../snippets/data/features.json');
+        it('should compute the UniProt sequence checksum', function() {
+            assert.equal(SequenceValidator.crc64(data.sequence), data.sequenceChecksum);
+        });
+        it('should compare sequences, checksums and lengths', function() {
+            assert.isTrue(SequenceValidator.compare(data.sequence, {sequence: data.sequence.toLowerCase()}).consistent);
+            assert.isTrue(SequenceValidator.compare(data.sequence, {sequenceChecksum: data.sequenceChecksum}).consistent);
+            assert.isTrue(SequenceValidator.compare(data.sequence, {features: []}).consistent);
+            assert.isFalse(SequenceValidator.compare(data.sequence, {sequence: data.sequence.substring(1)}).consistent);
+            assert.isFalse(SequenceValidator.compare(data.sequence, {sequenceChecksum: 'A12EE761403740F6'}).consistent);
+            var comparison = SequenceValidator.compare(data.sequence, {sequenceLength: 700});
+            assert.isFalse(comparison.consistent);
+            assert.equal(comparison.reason, 'the sequence length is 700 instead of 770');
+        });
+        it('should align an older sequence version', function() {
+            var alignment = SequenceAligner.align('MKTAYIAKQR', 'MKTAYWIAKR');
+            expect(alignment.mapRange(1, 5)).to.deep.equal({begin: 1, end: 5, changed: false});
+            expect(alignment.mapRange(6, 8)).to.deep.equal({begin: 7, end: 9, changed: false});
+            expect(alignment.mapRange(8, 10)).to.deep.equal({begin: 9, end: 10, changed: true});
+            assert.equal(alignment.mapRange(9), undefined);
+        });
+        it('should align long sequences differing in their middle', function() {
+            var residues = 'ACDEFGHIKLMNPQRSTVWY', core = '', seed = 7;
+            for (var i = 0; i < 3000; i++) {
+                seed = (seed * 16807) % 2147483647;
+                core += residues.charAt(seed % residues.length);
+            }
+            // different ends leave the whole sequences to align, with ten residues missing from the target
+            var alignment = SequenceAligner.align('M' + core + 'K', 'W' + core.substring(0, 1500)
+                + core.substring(1510) + 'Y');
+            expect(alignment.mapRange(2, 1000)).to.deep.equal({begin: 2, end: 1000, changed: false});
+            expect(alignment.mapRange(2000, 3001)).to.deep.equal({begin: 1990, end: 2991, changed: false});
+            assert.equal(alignment.mapPosition(1), 1);
+            assert.isTrue(alignment.mapRange(1490, 1520).changed);
+        });
+        it('should remap features and drop the ones in gaps', function() {
+            var older = data.sequence.substring(0, 100) + data.sequence.substring(110);
+            var features = [{type: 'DOMAIN', begin: '20', end: '50'}, {type: 'SITE', begin: '150', end: '150'},
+                {type: 'REGION', begin: '95', end: '120'}];
+            var remapped = DataLoader.remapFeatures(features, SequenceAligner.align(older, data.sequence));
+            assert.equal(remapped.features.length, 3);
+            assert.equal(remapped.features[0].begin, '20');
+            assert.equal(remapped.features[1].begin, '160');
+            assert.equal(remapped.features[2].end, '130');
+            var newer = DataLoader.remapFeatures([{type: 'SITE', begin: 105, end: 105}],
+                SequenceAligner.align(data.sequence, older));
+            assert.equal(newer.features.length, 0);
+            assert.equal(newer.dropped.length, 1);
+        });
+    });
+    describe('Feature validation', function() {
+        var sequence = 'MLPGLALLLLAAWTARALEV';
+        var validation = DataLoader.validateFeatures([
+            {type: 'DOMAIN', begin: '2', end: '10'},
+            {type: 'DOMAIN', end: '10'},
+            {begin: '2', end: '10'},
+            {type: 'REGION', begin: 'first', end: '10'},
+            {type: 'REGION', begin: '12', end: '5'},
+            {type: 'REGION', begin: '15', end: '30'},
+            {type: 'SITE', begin: '25', end: '25'},
+            {type: 'VARIANT', begin: 21, end: 21, alternativeSequence: '*'},
+            {type: 'MY_TYPE', begin: 3, end: 4}
+        ], sequence);
+        var reasons = _.pluck(validation.issues, 'reason');
+        it('should keep valid and corrected features', function() {
+            assert.equal(validation.features.length, 5);
+            assert.equal(validation.features[1].begin, '5');
+            assert.equal(validation.features[1].end, '12');
+            assert.equal(validation.features[2].end, '20');
+            assert.equal(validation.features[3].type, 'VARIANT');
+        });
+        it('should report every rejected or corrected feature with its reason', function() {
+            expect(_.pluck(validation.issues, 'action')).to.deep.equal(['rejected', 'rejected', 'rejected',
+                'corrected', 'corrected', 'rejected', 'accepted']);
+            assert.equal(reasons[0], 'the begin position is missing');
+            assert.equal(reasons[1], 'the type is missing');
+            assert.equal(reasons[5], 'the begin position 25 is outside the sequence (1-20)');
+            assert.equal(reasons[6], 'the type MY_TYPE is unknown, it is drawn with the default style');
+        });
+        it('should check the positions once swapped', function() {
+            var swapped = DataLoader.validateFeatures([
+                {type: 'REGION', begin: '5', end: '0'},
+                {type: 'REGION', begin: '30', end: '15'}
+            ], sequence);
+            expect(_.pluck(swapped.issues, 'action')).to.deep.equal(['rejected', 'corrected', 'corrected']);
+            assert.equal(swapped.issues[0].reason, 'the begin position 0 is outside the sequence (1-20)');
+            assert.equal(swapped.features.length, 1);
+            assert.equal(swapped.features[0].begin, '15');
+            assert.equal(swapped.features[0].end, '20');
+        });
+    });
+    describe('Source URLs', function() {
+        it('should keep appending the accession to plain URLs', function() {
+            assert.equal(DataLoader.buildUrl({url: 'http://my/source/'}, 'P05067', 'json', false),
+                'http://my/source/P05067');
+            assert.equal(DataLoader.buildUrl({url: 'http://my/source/'}, 'P05067', 'json', true),
+                'http://my/source/P05067.json');
+        });
+        it('should fill URL templates', function() {
+            var source = {url: 'http://my/proteins/{accession}/features?format={format}&isoform={isoform}'};
+            assert.equal(DataLoader.buildUrl(source, 'P05067-4', 'json', true),
+                'http://my/proteins/P05067/features?format=json&isoform=P05067-4');
+        });
+        it('should add query parameters', function() {
+            var source = {url: 'http://my/proteins/{accession}', params: {format: '{format}', 'max size': 100}};
+            assert.equal(DataLoader.buildUrl(source, 'P05067', 'gff'),
+                'http://my/proteins/P05067?format=gff&max%20size=100');
+            source.url = 'http://my/proteins/{accession}?taxid=9606';
+            assert.equal(DataLoader.buildUrl(source, 'P05067', 'json'),
+                'http://my/proteins/P05067?taxid=9606&format=json&max%20size=100');
+        });
+        it('should turn headers and credentials into request settings', function() {
+            expect(DataLoader.toAjaxSettings({url: 'http://my/source/'})).to.deep.equal({});
+            expect(DataLoader.toAjaxSettings({headers: {Authorization: 'Bearer token'}, credentials: 'include'}))
+                .to.deep.equal({headers: {Authorization: 'Bearer token'}, xhrFields: {withCredentials: true}});
+        });
+    });
+    describe('UniProtKbAdapter', function() {
+        var entry = JSON.parse(fs.readFileSync(path.join(__dirname, '../../snippets/data/uniprotkb_P05067.json'),
+            'utf8'));
+        var adapter = SourceAdapters.get('uniprotkb');
+        var payload = adapter.parse(entry, {source: 'uniprotkb'}, {accession: 'P05067'});
+
+        it('should be registered as a JSON adapter using the json extension', function() {
+            assert.equal(SourceAdapters.getDataType({format: 'uniprotkb'}), 'json');
+            assert.equal(SourceAdapters.getExtension({format: 'uniprotkb'}), 'json');
+            assert.equal(SourceAdapters.getExtension({format: 'gff3'}), 'gff3');
+        });
+        it('should read the accession and sequence of the entry', function() {
+            assert.equal(payload.accession, 'P05067');
+            assert.equal(payload.sequence.length, 770);
+            assert.equal(payload.sequenceChecksum, 'A12EE761403740F5');
+            assert.equal(SequenceValidator.compare(payload.sequence, payload).consistent, true);
+        });
+        it('should map nested locations, types and identifiers', function() {
+            var signal = payload.features[0];
+            assert.equal(signal.type, 'SIGNAL');
+            assert.equal(signal.category, 'MOLECULE_PROCESSING');
+            assert.equal(signal.begin, 1);
+            assert.equal(signal.end, 17);
+            assert.equal(payload.features[1].ftId, 'PRO_0000000088');
+            expect(_.pluck(payload.features, 'type').slice(2, 10)).to.deep.equal(['DOMAIN', 'BINDING', 'DISULFID',
+                'MOD_RES', 'CARBOHYD', 'MUTAGEN', 'CONFLICT', 'VAR_SEQ']);
+            assert.equal(payload.features[3].description, 'heparin');
+            assert.equal(payload.features[8].alternativeSequence, 'N');
+            expect(payload.features[9].alternativeSequence).to.be.undefined;
+        });
+        it('should convert evidences to codes and sources', function() {
+            expect(payload.features[2].evidences).to.deep.equal([{code: 'ECO:0000255', source: {
+                name: 'PROSITE-ProRule', id: 'PRU01217', url: 'http://prosite.expasy.org/unirule/PRU01217'}}]);
+            expect(payload.features[5].evidences[1]).to.deep.equal({code: 'ECO:0007744'});
+        });
+        it('should keep unknown positions for validation and skip other isoforms', function() {
+            var region = _.findWhere(payload.features, {type: 'REGION'});
+            expect(region.begin).to.be.undefined;
+            assert.equal(region.end, 40);
+            assert.equal(payload.features.length, 13);
+            var isoform = adapter.parse(entry, {}, {accession: 'P05067-4'});
+            assert.equal(isoform.features.length, 14);
+        });
+        it('should accept search responses', function() {
+            var search = adapter.parse({results: [entry]}, {}, {});
+            assert.equal(search.accession, 'P05067');
+            assert.equal(search.features.length, 13);
+        });
+        it('should group the evidences of entry features by code', function() {
+            var features = adapter.parse(entry, {}, {accession: 'P05067'}).features;
+            var categories = DataLoader.groupFeaturesByCategory(features, payload.sequence, 'uniprotkb');
+            var processing = _.find(categories, function(category) {
+                return category[0] === 'MOLECULE_PROCESSING';
+            });
+            var signal = _.findWhere(processing[1], {type: 'SIGNAL'});
+            assert.deepEqual(_.keys(signal.evidences), ['ECO:0000269']);
+            assert.deepEqual(_.pluck(signal.evidences['ECO:0000269'], 'id'), ['12665801', '2900137']);
+        });
+    });
+    describe('Source provenance', function() {
+        var sequence = 'MLPGLALLLL';
+        var createVariants = function(source, alternatives) {
+            return DataLoader.processVariants(_.map(alternatives, function(alternative) {
+                return {type: 'VARIANT', begin: '2', end: '2', alternativeSequence: alternative};
+            }), sequence, source, false);
+        };
+
+        it('should record the source of basic features', function() {
+            var features = DataLoader.setProvenance([['DOMAINS_AND_SITES', [{type: 'DOMAIN', begin: 1, end: 3}]]],
+                'myLab');
+            assert.deepEqual(features[0][1][0].sourceIds, ['myLab']);
+            assert.equal(DataLoader.hasSource(features[0][1], 'myLab'), true);
+            assert.equal(DataLoader.hasSource(features[0][1], 'other'), false);
+        });
+        it('should record the source of every variant', function() {
+            var variants = DataLoader.setProvenance(createVariants('myLab', ['A', 'V']), 'myLab');
+            assert.deepEqual(_.pluck(variants[0][1][2].variants, 'sourceIds'), [['myLab'], ['myLab']]);
+            assert.equal(DataLoader.countFeatures(variants[0][1]), 2);
+        });
+        it('should withdraw the features of a source only', function() {
+            var shared = {type: 'DOMAIN', begin: 1, end: 3, sourceIds: ['uniprot', 'myLab']};
+            var features = [{type: 'DOMAIN', begin: 4, end: 6, sourceIds: ['myLab']}, shared,
+                {type: 'MOTIF', begin: 2, end: 5, sourceIds: ['uniprot']}];
+            var remaining = DataLoader.withdrawFeatures(features, 'myLab');
+            assert.equal(remaining.length, 2);
+            assert.deepEqual(shared.sourceIds, ['uniprot']);
+            assert.equal(DataLoader.hasSource(remaining, 'myLab'), false);
+        });
+        it('should withdraw variants and the external data of a source', function() {
+            var positions = DataLoader.setProvenance(createVariants('myLab', ['A', 'V']), 'myLab')[0][1];
+            var merged = positions[2].variants[0];
+            merged.sourceIds.push('uniprot');
+            DataLoader.withdrawFeatures(positions, 'myLab', 'myLab');
+            assert.equal(DataLoader.countFeatures(positions), 1);
+            assert.equal(positions[2].variants[0], merged);
+            expect(merged.externalData.myLab).to.be.undefined;
+        });
+        it('should withdraw features shared with already withdrawn data', function() {
+            var feature = {type: 'DOMAIN', begin: 1, end: 3, sourceIds: ['myLab']};
+            var sourceData = [feature], categoryData = [feature];
+            assert.equal(DataLoader.withdrawFeatures(sourceData, 'myLab').length, 0);
+            assert.equal(DataLoader.hasSource(categoryData, 'myLab'), true);
+            assert.equal(DataLoader.withdrawFeatures(categoryData, 'myLab').length, 0);
+        });
+    });
+    describe('Isoform projection', function() {
+        var data = require('../../snippets/data/features.json');
+        // isoform missing the residues 290 to 364 of the canonical sequence
+        var isoform = data.sequence.substring(0, 289) + data.sequence.substring(364);
+        var alignment = SequenceAligner.align(data.sequence, isoform);
+
+        it('should trim ranges partially spliced out', function() {
+            expect(alignment.mapRange(280, 300)).to.deep.equal({begin: 280, end: 289, changed: true});
+            expect(alignment.mapRange(360, 380)).to.deep.equal({begin: 290, end: 305, changed: true});
+            assert.equal(alignment.mapRange(300, 350), undefined);
+        });
+        it('should keep the original positions of projected features', function() {
+            var features = [{type: 'DOMAIN', begin: '28', end: '189'}, {type: 'REGION', begin: '280', end: '400'},
+                {type: 'SITE', begin: '320', end: '320'}];
+            var remapped = DataLoader.remapFeatures(features, alignment, 'P05067');
+            assert.equal(remapped.features.length, 2);
+            expect(remapped.features[0].mapping).to.deep.equal({from: 'P05067', begin: '28', end: '189',
+                changed: false});
+            assert.equal(remapped.features[1].begin, '280');
+            assert.equal(remapped.features[1].end, '325');
+            assert.equal(remapped.features[1].mapping.changed, true);
+            assert.equal(remapped.dropped[0].type, 'SITE');
+        });
+        it('should keep the mapping of external variants', function() {
+            var variants = [{type: 'VARIANT', begin: 400, end: 400, alternativeSequence: 'A',
+                mapping: {from: 'P05067', begin: 475, end: 475, changed: false}}];
+            var positions = DataLoader.processVariants(variants, isoform, 'myLab')[0][1];
+            assert.equal(positions[400].variants[0].mapping.begin, 475);
+            expect(positions[400].variants[0].externalData.myLab.mapping).to.be.undefined;
+        });
+    });
+
+    describe('Reference sequence', function() {
+        var older = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQAPILSRVGDGTQDNLSGAEKAVQVKVKALPDAQ';
+        // the displayed version lost the residues 20 to 29 of the older one
+        var displayed = older.substring(0, 19) + older.substring(29);
+        var alignment = SequenceAligner.align(older, displayed);
+
+        it('should locate a range missing from the displayed sequence', function() {
+            assert.equal(alignment.mapRange(22, 27), undefined);
+            expect(alignment.locateGap(22, 27)).to.deep.equal({begin: 19, end: 20});
+            expect(SequenceAligner.align(older, older.substring(5)).locateGap(1, 3)).to.deep.equal({begin: 1, end: 1});
+        });
+        it('should drop features in gaps by default', function() {
+            var remapped = DataLoader.remapFeatures([{type: 'SITE', begin: 24, end: 24},
+                {type: 'DOMAIN', begin: 40, end: 50}], alignment, 'v1');
+            assert.equal(remapped.dropped.length, 1);
+            expect(remapped.features[0].mapping).to.deep.equal({from: 'v1', begin: 40, end: 50, changed: false});
+            assert.equal(remapped.features[0].begin, 30);
+            assert.equal(remapped.features[0].end, 40);
+        });
+        it('should flag features in gaps on demand', function() {
+            var remapped = DataLoader.remapFeatures([{type: 'SITE', begin: '24', end: '24'}], alignment, 'v1',
+                'flag');
+            assert.equal(remapped.dropped.length, 0);
+            assert.equal(remapped.features[0].begin, '19');
+            assert.equal(remapped.features[0].end, '20');
+            expect(remapped.features[0].mapping).to.deep.equal({from: 'v1', begin: '24', end: '24', changed: true,
+                gap: true});
+        });
+    });
+
+    describe('Feature merging', function() {
+        var createFeatures = function() {
+            return [
+                {type: 'DOMAIN', begin: '30', end: '120', description: 'Kunitz domain', sourceIds: ['uniprot'],
+                    evidences: {'ECO:0000255': [{name: 'PROSITE-ProRule', id: 'PRU00031'}]}},
+                {type: 'DOMAIN', begin: 30, end: 120, description: ' kunitz  Domain.', sourceIds: ['myLab'],
+                    evidences: {'ECO:0000255': [{name: 'PROSITE-ProRule', id: 'PRU00031'}],
+                        'ECO:0000269': [{name: 'PubMed', id: '1'}]}},
+                {type: 'DOMAIN', begin: '30', end: '120', description: 'Kunitz domain', sourceIds: ['uniprot']},
+                {type: 'REGION', begin: '30', end: '120', description: 'Kunitz domain', sourceIds: ['other']}
+            ];
+        };
+
+        it('should merge the same feature reported by different sources', function() {
+            var features = DataLoader.mergeFeatures(createFeatures());
+            assert.equal(features.length, 3);
+            expect(features[0].sources).to.deep.equal(['uniprot', 'myLab']);
+            assert.equal(features[0].mergedFeatures.length, 2);
+            assert.equal(features[0].evidences['ECO:0000255'].length, 1);
+            assert.equal(features[0].evidences['ECO:0000269'].length, 1);
+            expect(features[1].sources).to.be.undefined;
+        });
+        it('should use the given rules', function() {
+            var features = DataLoader.mergeFeatures(createFeatures(), ['span']);
+            assert.equal(features.length, 2);
+            expect(features[0].sources).to.deep.equal(['uniprot', 'myLab', 'other']);
+            features = DataLoader.mergeFeatures(createFeatures(), ['type', function(feature, other) {
+                return feature.description === other.description;
+            }]);
+            assert.equal(features.length, 4);
+        });
+        it('should leave the features of a single source alone', function() {
+            var features = _.filter(createFeatures(), function(feature) {
+                return feature.sourceIds[0] === 'uniprot';
+            });
+            assert.strictEqual(DataLoader.mergeFeatures(features), features);
+        });
+        it('should merge features only with the features of the same key', function() {
+            var features = [];
+            for (var i = 1; i <= 2000; i++) {
+                features.push({type: 'PEPTIDE', begin: i, end: i + 10, sourceIds: ['uniprot']});
+                features.push({type: 'PEPTIDE', begin: i, end: i + 10, sourceIds: ['myLab']});
+            }
+            var merged = DataLoader.mergeFeatures(features);
+            assert.equal(merged.length, 2000);
+            expect(merged[1999].sources).to.deep.equal(['uniprot', 'myLab']);
+        });
+    });
+
+    describe('Variant worker', function() {
+        var readVariants = function() {
+            return JSON.parse(fs.readFileSync(path.join(__dirname, '../../snippets/data/variant.json'), 'utf8'));
+        };
+
+        it('should give workers the same processing', function() {
+            var data = readVariants();
+            var inWorker = new Function('return ' + VariantProcessing.script)();
+            var processed = inWorker.processVariants(readVariants().features, data.sequence, 'myLab', true, false);
+            var expected = DataLoader.processVariants(data.features, data.sequence, 'myLab')[0][1];
+            expect(processed.positions).to.deep.equal(expected);
+        });
+        it('should parse, validate and process payloads in the worker', function() {
+            var messages = [];
+            var scope = {
+                postMessage: function(message, transfer) {
+                    messages.push({message: message, transfer: transfer});
+                }
+            };
+            new Function(VariantWorker.script).call(scope);
+            var text = fs.readFileSync(path.join(__dirname, '../../snippets/data/variant.json'), 'utf8');
+            scope.onmessage({data: {id: 1, action: 'parse', text: text}});
+            var header = messages.pop().message.result;
+            var data = readVariants();
+            assert.equal(header.sequence, data.sequence);
+            assert.equal(header.featureCount, data.features.length);
+            assert.isTrue(header.variants);
+            scope.onmessage({data: {id: 2, action: 'process', payload: 1, sequence: data.sequence,
+                validationSequence: data.sequence, trackTypes: ['variant'], source: 'myLab', external: true}});
+            var result = _.last(messages);
+            assert.equal(result.transfer[0], result.message.result.residues.buffer, 'residue indexes transferred');
+            var expected = DataLoader.processVariants(data.features, data.sequence, 'myLab')[0][1];
+            expect(VariantProcessing.toPositions(data.sequence, result.message.result)).to.deep.equal(expected);
+            scope.onmessage({data: {id: 3, action: 'take', payload: 1}});
+            assert.equal(messages.pop().message.error, 'The payload is no longer available');
+        });
+        it('should report the progress and the consequence types', function() {
+            var data = readVariants();
+            var progress = [];
+            var processed = VariantProcessing.processVariants(data.features, data.sequence, undefined, false, false,
+                function(share) {
+                    progress.push(share);
+                });
+            assert.equal(progress[0], 0);
+            expect(processed.consequences).to.deep.equal(_.uniq(_.compact(_.pluck(data.features, 'consequence'))));
+        });
+    });
+
+    describe('Layout strategies', function() {
+        var createFeatures = function() {
+            return [
+                {internalId: 'a', begin: '1', end: '10'},
+                {internalId: 'b', begin: '5', end: '30'},
+                {internalId: 'c', begin: '11', end: '12'},
+                {internalId: 'd', begin: '12', end: '20'},
+                {internalId: 'e', begin: '40'}
+            ];
+        };
+        var getRows = function(layout) {
+            return _.map(layout.getRows(), function(row) {
+                return _.pluck(row.rowFeatures, 'internalId');
+            });
+        };
+
+        it('should pack features into the first free row', function() {
+            var layout = new NonOverlappingLayout(createFeatures(), 40);
+            expect(getRows(layout)).to.deep.equal([['a', 'c', 'e'], ['b'], ['d']]);
+            layout.calculate();
+            assert.equal(layout.getYPos({internalId: 'd'}), 2 * (layout.getFeatureHeight() + 2) + layout.yOffset);
+            assert.equal(layout.getYPos(createFeatures()[0]), layout.yOffset);
+        });
+        it('should place longer features first', function() {
+            var layout = new NonOverlappingLayout(createFeatures(), 40, {strategy: 'longestFirst'});
+            expect(getRows(layout)).to.deep.equal([['b'], ['a', 'c', 'e'], ['d']]);
+        });
+        it('should keep rows once features are filtered', function() {
+            var features = createFeatures();
+            var previous = new NonOverlappingLayout(features, 40, {strategy: 'stable'});
+            var layout = new NonOverlappingLayout(_.without(features, features[1]), 40,
+                {strategy: 'stable', previous: previous});
+            expect(getRows(layout)).to.deep.equal([['a', 'c', 'e'], [], ['d']]);
+            assert.equal(new NonOverlappingLayout(_.without(features, features[1]), 40).getRows().length, 2);
+        });
+        it('should place added features in the rows free for them', function() {
+            var features = createFeatures();
+            var previous = new NonOverlappingLayout(_.without(features, features[1]), 40, {strategy: 'stable'});
+            var layout = new NonOverlappingLayout(features.concat({internalId: 'f', begin: '1', end: '4'}), 40,
+                {strategy: 'stable', previous: previous});
+            expect(getRows(layout)).to.deep.equal([['a', 'c', 'e'], ['f', 'd'], ['b']]);
+        });
+        it('should never put overlapping features in the same row', function() {
+            var features = _.map(_.range(2000), function(i) {
+                return {begin: (i * 7919) % 1000, end: ((i * 7919) % 1000) + (i % 50)};
+            });
+            _.each(['firstFit', 'longestFirst', 'stable'], function(strategy) {
+                var layout = new NonOverlappingLayout(features, 40, {strategy: strategy});
+                var count = 0;
+                _.each(layout.getRows(), function(row) {
+                    count += row.rowFeatures.length;
+                    _.each(row.rowFeatures, function(feature, i) {
+                        if (i > 0) {
+                            assert.equal(+row.rowFeatures[i - 1].end < +feature.begin, true);
+                        }
+                    });
+                });
+                assert.equal(count, features.length);
+            });
+        });
+    });
+
+    describe('Overflow rows', function() {
+        // six features all overlapping each other, one per row
+        var features = _.map(_.range(6), function(i) {
+            return {internalId: 'f' + i, begin: 10, end: 20 + i};
+        });
+
+        it('should collapse rows beyond the maximum', function() {
+            var layout = new NonOverlappingLayout(features, 40, {maxRows: 4});
+            layout.calculate();
+            assert.equal(layout.getFeatureHeight(), 13);
+            assert.equal(layout.getVisibleRowCount(), 4);
+            assert.equal(layout.isVisible(features[3]), true);
+            assert.equal(layout.isVisible(features[4]), false);
+            expect(layout.getOverflow()).to.deep.equal({rows: 2, features: 2, y: 60, height: 15});
+            assert.equal(layout.getHeight(), 75);
+        });
+        it('should grow to the natural height once expanded', function() {
+            var layout = new NonOverlappingLayout(features, 40, {maxRows: 4});
+            layout.setExpanded(true);
+            assert.equal(layout.isVisible(features[5]), true);
+            assert.equal(layout.getYPos(features[5]), 75);
+            assert.equal(layout.getOverflow().y, 90);
+            assert.equal(layout.getHeight(), 105);
+        });
+        it('should shrink rows to fit without maximum', function() {
+            var layout = new NonOverlappingLayout(features, 40);
+            layout.calculate();
+            expect(layout.getOverflow()).to.be.undefined;
+            assert.equal(layout.getHeight(), 40);
+            assert.equal(layout.isVisible(features[5]), true);
+        });
+    });
+
+    describe('Features in view', function() {
+        var features = _.map(_.range(1000), function(i) {
+            return {internalId: 'f' + i, begin: i * 10 + 1, end: i * 10 + 5 + (i % 3) * 10};
+        });
+
+        it('should find the features overlapping a range', function() {
+            var layout = new NonOverlappingLayout(features, 40);
+            var found = _.pluck(layout.getFeaturesIn(100, 130), 'internalId').sort();
+            var expected = _.pluck(_.filter(features, function(feature) {
+                return (feature.begin <= 130) && (feature.end >= 100);
+            }), 'internalId').sort();
+            expect(found).to.deep.equal(expected);
+        });
+        it('should leave out the features of collapsed rows', function() {
+            var layout = new NonOverlappingLayout(features, 40, {maxRows: 1});
+            _.each(layout.getFeaturesIn(1, 10000), function(feature) {
+                assert.equal(layout.getRowIndex(feature), 0);
+            });
+            layout.setExpanded(true);
+            assert.equal(layout.getFeaturesIn(1, 10000).length, 1000);
+        });
+    });
 });